@@ -10,6 +10,8 @@ const CassandraDriver = require('cassandra-driver');
 const EventEmitter = require('events');
 const util = require('util');
 const async = require('async');
+const utils = require('./utils');
+const callbackOrPromise = utils.callbackOrPromise;
 const contactPoints = () => {
     return ['127.0.0.1'];
 };
@@ -81,49 +83,218 @@ class Cassandra {
     /**
      * Shortcut constructor for new Cassandra -> connect()
      * @param {object} options - an object defining how the connection will be made
-     * @param {function} callback - a callback to be called once connected or error
+     * @param {function} callback - a callback to be called once connected or error [optional],
+     * without it connection errors are only emitted as "error" events
+     * @returns {Cassandra} the Cassandra instance, use {@link Cassandra#connect} to await the connection
+     * @example <caption>Connect using async/await</caption>
+     * var cassandra = new Cassandra(options);
+     * await cassandra.connect();
      */
     static connect(options, callback) {
         var cassandra = new Cassandra(options);
-        cassandra.connect(callback);
+        cassandra.connect(typeof callback === 'function' ? callback : () => {});
         return cassandra;
     }
 
     /**
      * Create a new connection to the database
      * @param {function} callback - a callback to be called once connected or error
+     * @returns {Promise|undefined} a Promise if no callback is passed
      */
     connect(callback) {
-        var cassandra = this,
-            done = (err) => {
-                if (err) {
-                    if (cassandra.listenerCount('error') > 0) {
-                        cassandra.emit('error', err);
-                    }
-                } else {
-                    cassandra.connected = true;
-                    if (cassandra.listenerCount('connect') > 0) {
-                        cassandra.emit('connect');
+        var cassandra = this;
+        return callbackOrPromise(callback, (callback) => {
+            var done = (err) => {
+                    if (err) {
+                        if (cassandra.listenerCount('error') > 0) {
+                            cassandra.emit('error', err);
+                        }
+                    } else {
+                        cassandra.connected = true;
+                        if (cassandra.listenerCount('connect') > 0) {
+                            cassandra.emit('connect');
+                        }
                     }
-                }
-                if (typeof callback === 'function') {
                     callback(err);
+                };
+            cassandra.driver.connect((err, res) => {
+                if (err) {
+                    return done(err);
                 }
-            };
-        cassandra.driver.connect((err, res) => {
-            if (err) {
-                return done(err);
-            }
-            if (cassandra.queue.length) {
-                async.eachSeries(cassandra.queue.splice(0), (fn, next) => {
-                    //'calling: ', fn.toString()
-                    fn(next);
-                }, done);
+                if (cassandra.queue.length) {
+                    let queueError = null;
+                    //keep draining on errors so every queued model settles its readiness
+                    async.eachSeries(cassandra.queue.splice(0), (fn, next) => {
+                        //'calling: ', fn.toString()
+                        fn((err) => {
+                            queueError = queueError || err;
+                            next();
+                        });
+                    }, () => done(queueError));
+                } else {
+                    done();
+                }
+            });
+        });
+    }
+
+    /**
+     * Waits until every model attached with {@link Cassandra#model} has created
+     * its table, views and indexes, including any queued before connecting
+     * @param {function} callback - receives err
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * var cassandra = new Cassandra(options);
+     * var TestModel = cassandra.model('test', testSchema);
+     * await cassandra.connect();
+     * await cassandra.ready();
+     */
+    ready(callback) {
+        var cassandra = this;
+        return callbackOrPromise(callback, (callback) => {
+            async.each(Object.keys(cassandra.models), (name, next) => {
+                cassandra.models[name].ready(next);
+            }, (err) => callback(err));
+        });
+    }
+
+    /**
+     * Run the versioned migration modules in a directory, see {@link Cassandra.Migrator}.
+     * If not yet connected, the migrations will run once connected
+     * @param {string} dir - the directory holding the migration modules, eg: "001-add-email.js"
+     * @param {object} options - migration options, eg: {to: 3} to migrate up or down to version 3
+     * @param {function} callback - receives err, migrations - a list of {version, name, direction} that were run
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * cassandra.migrate(path.join(__dirname, 'migrations'), (err, migrations) => {...});
+     * //or
+     * var migrations = await cassandra.migrate(path.join(__dirname, 'migrations'), {to: 3});
+     */
+    migrate(dir, options, callback) {
+        var cassandra = this;
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        var migrator = new Cassandra.Migrator(cassandra, dir, options);
+        return callbackOrPromise(callback, (callback) => {
+            var run = (next) => {
+                    migrator.run((err, migrations) => {
+                        if (err) {
+                            callback(err);
+                        } else {
+                            callback(null, migrations);
+                        }
+                        next(err);
+                    });
+                };
+            if (cassandra.connected) {
+                run(() => {});
             } else {
-                done();
+                cassandra.queue.push(run);
             }
         });
+    }
 
+    /**
+     * Creates a {@link Cassandra.Schema} equivalent to an existing table, including its
+     * collections, user-defined types, primary keys, clustering order, indexes and materialized views
+     * @param {string} tableName - the name of the table
+     * @param {function} callback - receives err, schema
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * cassandra.introspect('users', (err, schema) => {
+     *   console.log(schema.toSource()); //check it in
+     *   var UserModel = cassandra.model('users', schema);
+     * });
+     */
+    introspect(tableName, callback) {
+        var cassandra = this;
+        tableName = tableName.toLowerCase();
+        return callbackOrPromise(callback, (callback) => {
+            cassandra._describeTable(tableName, (err, table) => {
+                if (err) {
+                    return callback(err);
+                }
+                if (!table.columns.length) {
+                    return callback(new Error(util.format('Could not introspect table, '
+                        + 'not found: %s.%s', cassandra.keyspace, tableName)));
+                }
+                table.viewColumns = {};
+                async.parallel([
+                    (next) => async.each(table.views, (view, next) => {
+                        cassandra._describeColumns(view.view_name, (err, rows) => {
+                            table.viewColumns[view.view_name] = rows;
+                            next(err);
+                        });
+                    }, next),
+                    (next) => cassandra.driver.execute(
+                        'SELECT * FROM system_schema.types WHERE keyspace_name = ?',
+                        [cassandra.keyspace],
+                        {prepare: true},
+                        (err, result) => {
+                            table.types = result && result.rows;
+                            next(err);
+                        }
+                    )
+                ], (err) => {
+                    var schema;
+                    if (err) {
+                        return callback(err);
+                    }
+                    try {
+                        schema = Cassandra.Schema.fromSystemSchema(tableName, table);
+                    } catch (schemaError) {
+                        return callback(schemaError);
+                    }
+                    callback(null, schema);
+                });
+            });
+        });
+    }
+
+    /**
+     * Reads the columns of a table or materialized view from system_schema
+     * @param {string} tableName - the name of the table or view as it is stored
+     * @param {function} callback - receives err, rows
+     */
+    _describeColumns(tableName, callback) {
+        var cassandra = this;
+        cassandra.driver.execute(
+            'SELECT * FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ?',
+            [cassandra.keyspace, tableName],
+            {prepare: true},
+            (err, result) => callback(err, result && result.rows)
+        );
+    }
+
+    /**
+     * Reads a table's columns, indexes, materialized views and options from system_schema
+     * @param {string} tableName - the name of the table as it is stored
+     * @param {function} callback - receives err, {columns: rows, indexes: rows, views: rows, options: row|null}
+     */
+    _describeTable(tableName, callback) {
+        var cassandra = this;
+        var params = [cassandra.keyspace, tableName];
+        var execute = (query, params, next) => {
+                cassandra.driver.execute(query, params, {prepare: true}, (err, result) => {
+                    next(err, result && result.rows);
+                });
+            };
+        async.parallel({
+            columns: (next) => cassandra._describeColumns(tableName, next),
+            indexes: (next) => execute('SELECT * FROM system_schema.indexes '
+                + 'WHERE keyspace_name = ? AND table_name = ?', params, next),
+            //views are keyed by keyspace and view name, filter by base table here
+            views: (next) => execute('SELECT * FROM system_schema.views '
+                + 'WHERE keyspace_name = ?', [cassandra.keyspace], (err, rows) => {
+                    next(err, rows && rows.filter((row) => row.base_table_name === tableName));
+                }),
+            options: (next) => execute('SELECT * FROM system_schema.tables '
+                + 'WHERE keyspace_name = ? AND table_name = ?', params, (err, rows) => {
+                    next(err, rows && rows[0] || null);
+                })
+        }, callback);
     }
 
     /**
@@ -194,7 +365,9 @@ class Cassandra {
      * object on the named table, creating the table if it doesn't exist.
      * @param {string} name - the name of the table to attach the schema to
      * @param {object} schema - the schema object
-     * @param {function} callback - a callback to be called once the table has been created
+     * @param {function} callback - a callback to be called once the table, views and indexes have been
+     * created, if not yet connected this will be called once they have run from the connection queue
+     * @returns {Factory} the model's instance Factory, see {@link Cassandra.Model.ColumnFamily#ready|Factory.ready()}
      * @example <caption>Attach a schema to a model for querying</caption>
      * var cassandra = Cassandra.connect(...);
      * //create the ORM's schema
@@ -204,6 +377,9 @@ class Cassandra {
      */
     model(name, schema, callback) {
         var cassandra = this;
+        if (schema instanceof Cassandra.Schema) {
+            schema._attach(cassandra, name);
+        }
         var modelInstance = new Cassandra.Model.ColumnFamily(cassandra, name, schema);
         modelInstance._buildSchema(callback);
         cassandra.models[modelInstance.name] = modelInstance;
@@ -255,9 +431,35 @@ Cassandra.timeuuid = Cassandra.prototype.timeuuid;
  */
 Cassandra.types = CassandraDriver.types;
 Cassandra.execute = CassandraDriver.execute;
-Cassandra.utils = require('./utils');
+Cassandra.utils = utils;
 Cassandra.Schema = require('./schema');
+Cassandra.Type = require('./type');
+/**
+ * Registers a plugin that is applied to every {@link Cassandra.Schema} created afterwards,
+ * before its own plugins, see {@link Cassandra.Schema#plugin}
+ * @function
+ * @param {function} fn - the plugin, receives the schema and options
+ * @param {object} options - passed to the plugin
+ * @example
+ * Cassandra.plugin((schema) => {
+ *   schema.statics.findAll = function (callback) {
+ *     return this.find({}, callback);
+ *   };
+ * });
+ */
+Cassandra.plugin = (fn, options) => {
+    if (typeof fn !== 'function') {
+        throw new TypeError('Schema plugins must be functions: "' + fn + '"');
+    }
+    Cassandra.Schema.plugins.push({
+        fn: fn,
+        options: options
+    });
+};
+Cassandra.ValidationError = require('./validation-error');
+Cassandra.Query = require('./query');
 Cassandra.Model = require('./model');
 Cassandra.Model.ColumnFamily = require('./column-family');
 Cassandra.Model.ModelInstance = require('./model-instance');
 Cassandra.Model.MaterializedView = require('./materialized-view');
+Cassandra.Migrator = require('./migrator');
@@ -0,0 +1,202 @@
+/**
+ * Vertebrae Inc
+ * @package Cassandra-ORM
+ * @exports coerce
+ */
+"use strict";
+
+const Cassandra = require('./cassandra');
+const util = require('util');
+const format = util.format;
+const types = Cassandra.types;
+const integer = /^[-+]?\d+$/;
+const numeric = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+//driver types that throw on invalid strings
+const parse = (Type, value) => {
+    try {
+        return Type.fromString(value);
+    } catch (err) {
+        return undefined;
+    }
+};
+const toInteger = (value) => {
+    if (typeof value === 'string' && integer.test(value)) {
+        value = Number(value);
+    }
+    return typeof value === 'number' && value % 1 === 0 ? value : undefined;
+};
+const toNumber = (value) => {
+    if (typeof value === 'string' && numeric.test(value)) {
+        value = Number(value);
+    }
+    return typeof value === 'number' ? value : undefined;
+};
+const toText = (value) => {
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean'
+        ? String(value)
+        : undefined;
+};
+
+/**
+ * Scalar converters by data type, each returns the value as the driver expects it,
+ * or undefined when it can't be converted. Numbers are left as they are where the
+ * driver encodes them itself
+ */
+const scalars = {
+    int: toInteger,
+    smallint: toInteger,
+    tinyint: toInteger,
+    bigint: (value) => {
+        if (value instanceof types.Long) {
+            return value;
+        }
+        return typeof value === 'string' && integer.test(value) ? types.Long.fromString(value) : toInteger(value);
+    },
+    varint: (value) => {
+        if (value instanceof types.Integer) {
+            return value;
+        }
+        return typeof value === 'string' && integer.test(value) ? types.Integer.fromString(value) : toInteger(value);
+    },
+    decimal: (value) => {
+        if (value instanceof types.BigDecimal) {
+            return value;
+        }
+        return typeof value === 'string' && numeric.test(value) ? types.BigDecimal.fromString(value) : toNumber(value);
+    },
+    float: toNumber,
+    double: toNumber,
+    boolean: (value) => {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        return value === 'true' || (value === 'false' ? false : undefined);
+    },
+    text: toText,
+    varchar: toText,
+    ascii: toText,
+    timestamp: (value) => {
+        if (typeof value === 'number' || (typeof value === 'string' && !isNaN(Date.parse(value)))) {
+            value = new Date(value);
+        }
+        return value instanceof Date && !isNaN(value.getTime()) ? value : undefined;
+    },
+    date: (value) => {
+        if (value instanceof Date) {
+            return types.LocalDate.fromDate(value);
+        }
+        return typeof value === 'string' ? parse(types.LocalDate, value) : value instanceof types.LocalDate ? value : undefined;
+    },
+    time: (value) => {
+        return typeof value === 'string' ? parse(types.LocalTime, value) : value instanceof types.LocalTime ? value : undefined;
+    },
+    uuid: (value) => {
+        return typeof value === 'string' ? parse(types.Uuid, value) : value instanceof types.Uuid ? value : undefined;
+    },
+    timeuuid: (value) => {
+        return typeof value === 'string' ? parse(types.TimeUuid, value) : value instanceof types.Uuid ? value : undefined;
+    },
+    inet: (value) => {
+        return typeof value === 'string' ? parse(types.InetAddress, value) : value instanceof types.InetAddress ? value : undefined;
+    },
+    blob: (value) => value instanceof Buffer ? value : undefined,
+    counter: (value) => scalars.bigint(value)
+};
+
+const typeError = (descriptor, value) => {
+    return new TypeError(format(
+        'expected %s, got %s',
+        Cassandra.Schema.toCqlType(descriptor),
+        util.inspect(value, {depth: 0, breakLength: Infinity})
+    ));
+};
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+//keys to deduplicate set values by, objects such as Uuid or Long are compared by their string value
+const setKey = (value) => typeof value + ':' + String(value);
+
+/**
+ * Checks a value against a type descriptor, see {@link Cassandra.Schema.normalizeType}, and
+ * converts it to what the driver expects: numeric strings to numbers, Long, Integer or BigDecimal,
+ * ISO strings and numbers to timestamp Dates, strings to Uuid, TimeUuid, LocalDate, LocalTime or
+ * InetAddress, arrays and Sets to deduplicated set values and arrays to Tuples.
+ * Null values and CQL functions such as minTimeuuid are left as they are
+ * @param {string|object|Cassandra.Type} descriptor - the type descriptor
+ * @param {mixed} value - the value to coerce
+ * @param {boolean} strict - throw instead of converting scalar values and arrays to Tuples
+ * @throws TypeError - the value does not match the type
+ * @returns {mixed} value
+ */
+const coerce = (descriptor, value, strict) => {
+    if (null === value || undefined === value || value === types.unset || value instanceof Cassandra.Timeuuid) {
+        return value;
+    }
+    if (typeof descriptor === 'string') {
+        let converter = scalars[descriptor];
+        if (!converter) {
+            return value;
+        }
+        let converted = converter(value);
+        if (undefined === converted || (strict && converted !== value)) {
+            throw typeError(descriptor, value);
+        }
+        return converted;
+    }
+    if (descriptor instanceof Cassandra.Type) {
+        if (!isObject(value)) {
+            throw typeError(descriptor, value);
+        }
+        let converted = {};
+        for (let field in value) {
+            converted[field] = descriptor.fields[field]
+                ? coerce(descriptor.fields[field], value[field], strict)
+                : value[field];
+        }
+        return converted;
+    }
+    if (descriptor.frozen) {
+        return coerce(descriptor.frozen, value, strict);
+    }
+    if (descriptor.tuple) {
+        let isTuple = value instanceof types.Tuple;
+        let elements = isTuple ? value.elements : value;
+        if ((!isTuple && (strict || !Array.isArray(value))) || elements.length > descriptor.tuple.length) {
+            throw typeError(descriptor, value);
+        }
+        return types.Tuple.fromArray(elements.map((element, index) => coerce(descriptor.tuple[index], element, strict)));
+    }
+    if (descriptor.list) {
+        if (!Array.isArray(value)) {
+            throw typeError(descriptor, value);
+        }
+        return value.map((element) => coerce(descriptor.list, element, strict));
+    }
+    if (descriptor.set) {
+        if (!Array.isArray(value) && !(value instanceof Set)) {
+            throw typeError(descriptor, value);
+        }
+        let keys = {};
+        return Array.from(value).map((element) => coerce(descriptor.set, element, strict)).filter((element) => {
+            var key = setKey(element);
+            return keys[key] ? false : (keys[key] = true);
+        });
+    }
+    if (value instanceof Map) {
+        let converted = new Map();
+        value.forEach((element, key) => {
+            converted.set(coerce(descriptor.map[0], key, strict), coerce(descriptor.map[1], element, strict));
+        });
+        return converted;
+    }
+    if (!isObject(value)) {
+        throw typeError(descriptor, value);
+    }
+    //object keys are strings, only the values can be converted
+    var converted = {};
+    for (let key in value) {
+        converted[key] = coerce(descriptor.map[1], value[key], strict);
+    }
+    return converted;
+};
+
+module.exports = coerce;
@@ -12,10 +12,43 @@ const async = require('async');
 const BaseModel = Model.BaseModel;
 const AbstractModel = Model.AbstractModel;
 const AbstractModelPrototype = AbstractModel.prototype;
+const callbackOrPromise = Cassandra.utils.callbackOrPromise;
 const abstractMethods = Object.getOwnPropertyNames(AbstractModelPrototype);
 const arrayUnique = (val, index, self) => {
     return self.indexOf(val) === index;
 };
+//system_schema stores types without spaces between parameters and varchar as text
+const normalizeType = (type) => {
+    return type.toLowerCase().replace(/\s+/g, '').replace(/\bvarchar\b/g, 'text');
+};
+//index targets of collections, see Cassandra.Model#createIndex
+const indexTarget = /^(keys|values|entries|full)\((.+)\)$/i;
+const toCqlString = (value) => "'" + String(value).replace(/'/g, "''") + "'";
+//Model#indexes maps columns to their index names, or the column itself for indexes declared as a string
+const indexMapping = (entry) => {
+    var definition = entry.definition;
+    if (definition.length) {
+        return entry.column;
+    }
+    return undefined === definition.target ? definition[entry.column] : entry.name;
+};
+//percentiles can be declared and stored as either 99p or 99PERCENTILE, depending on the Cassandra version
+const normalizeOption = (value) => {
+    return String(value).toLowerCase().replace(/^(\d+(?:\.\d+)?)(?:p|percentile)$/, (match, number) => {
+        return parseFloat(number) + 'p';
+    });
+};
+//compares a declared table option to the value stored in system_schema, only the declared keys of maps are compared
+const optionChanged = (declared, stored) => {
+    if (declared && typeof declared === 'object') {
+        stored = stored || {};
+        return Object.keys(declared).some((key) => optionChanged(declared[key], stored[key]));
+    }
+    declared = normalizeOption(declared);
+    stored = normalizeOption(stored);
+    //class names are stored fully qualified
+    return declared !== stored && !stored.endsWith('.' + declared);
+};
 
 /**
  * Create a new Cassandra ColumnFamily attached to a {@link Cassandra.Schema} on the named table and creating the table if it doesn't exist. In general, you should use the instanced method {@link Cassandra#model} to attach models
@@ -30,6 +63,8 @@ class ColumnFamily extends BaseModel {
         var model = this;
         model.views = {};
         model.indexes = {};
+        model.indexRegistry = {}; //maps created index names to their kind, target and definition
+        model.__$$ready = Promise.resolve();
         //instance Factory
         model.Factory = class extends Model.ModelInstance {
             constructor(object, bypass) {
@@ -44,6 +79,15 @@ class ColumnFamily extends BaseModel {
             static get model() {
                 return model;
             }
+            static ready(callback) {
+                return model.ready(callback);
+            }
+            static syncSchema(options, callback) {
+                return model.syncSchema(options, callback);
+            }
+            static query() {
+                return model.query();
+            }
         };
         //mixin abstract model
         for (let method of abstractMethods) {
@@ -63,64 +107,307 @@ class ColumnFamily extends BaseModel {
             let staticMethod = schema.statics[method];
             model[method] = staticMethod;
             model.Factory[method] = function () {
-                staticMethod.apply(model, arguments);
+                return staticMethod.apply(model, arguments);
             };
         }
+        //instance methods and virtuals, virtuals are not enumerated so they are never persisted
+        for (let method in schema.methods) {
+            if (schema.model[method]) {
+                throw new Error(format('Invalid instance method, a column has the same name: %s; model: %s', method, name));
+            }
+            Object.defineProperty(model.Factory.prototype, method, {
+                value: schema.methods[method],
+                writable: true
+            });
+        }
+        for (let property in schema.virtuals) {
+            let virtual = schema.virtuals[property];
+            if (schema.model[property]) {
+                throw new Error(format('Invalid virtual, a column has the same name: %s; model: %s', property, name));
+            }
+            Object.defineProperty(model.Factory.prototype, property, typeof virtual === 'function' ? {
+                get: virtual
+            } : {
+                get: virtual.get,
+                set: virtual.set
+            });
+        }
     }
 
     _buildSchema(callback) {
         var model = this;
-        var cassandra = model.db;
         if (model.__$$built) {
             throw new Error('This should not be overriden!');
         }
         model.__$$built = true;
-        if (cassandra.connected) {
-            async.series([
-                (next) => model._createTable(next),
-                (next) => model._createViews(next),
-                (next) => model._createIndexes(next)
-            ], (err) => {
-                if (typeof callback === 'function') {
-                    callback(err);
+        //user-defined types are created one at a time, dependencies first
+        var batches = model._createTypes(false).map((query) => [query]).concat([
+                [model._createTable(false)],
+                model._createViews(false),
+                model._createIndexes(false)
+            ]);
+        if (model.schema.options.sync) {
+            //sync: true, or the sync options, eg: {drop: true}
+            batches.push((next) => model._syncSchema(Object.assign({}, model.schema.options.sync), next));
+        }
+        model._executeSchema(batches, callback);
+    }
+
+    /**
+     * Executes batches of schema queries in series and the queries of each batch
+     * in parallel, queueing them on the connection if not yet connected. The
+     * queries are tracked by {@link Cassandra.Model.ColumnFamily#ready|ready()}
+     * @param {array} batches - a list of query lists, or functions receiving a next(err) callback
+     * @param {function} done - receives err once the queries have run
+     */
+    _executeSchema(batches, done) {
+        var model = this;
+        var cassandra = model.db;
+        var pending = new Promise((resolve, reject) => {
+                var execute = (next) => {
+                        async.eachSeries(batches, (batch, nextBatch) => {
+                            if (typeof batch === 'function') {
+                                return batch(nextBatch);
+                            }
+                            async.each(batch, (query, cb) => cassandra.driver.execute(query, cb), nextBatch);
+                        }, (err) => {
+                            if (err) {
+                                reject(err);
+                            } else {
+                                resolve();
+                            }
+                            if (typeof done === 'function') {
+                                done(err);
+                            }
+                            next(err);
+                        });
+                    };
+                if (cassandra.connected) {
+                    execute(() => {});
+                } else {
+                    cassandra.queue.push(execute);
                 }
             });
-        } else {
-            model._createTable();
-            model._createViews();
-            model._createIndexes();
+        //wait for the earlier queries, though the latest decide, so a failure doesn't stick once later queries succeed
+        model.__$$ready = model.__$$ready.then(() => pending, () => pending);
+        //failures are reported through done and ready(), not as unhandled rejections
+        model.__$$ready.catch(() => {});
+    }
+
+    /**
+     * Waits until the model's table, views and indexes created so far exist,
+     * this includes any queued while waiting for a connection. Fails with the error
+     * of the latest schema queries, earlier failures are only reported until later queries succeed
+     * @param {function} callback - receives err
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * var TestModel = cassandra.model('test', testSchema);
+     * cassandra.connect();
+     * TestModel.ready((err) => {...});
+     * //or
+     * await TestModel.ready();
+     */
+    ready(callback) {
+        var model = this;
+        return callbackOrPromise(callback, (callback) => {
+            model.__$$ready.then(
+                () => process.nextTick(callback),
+                (err) => process.nextTick(callback, err)
+            );
+        });
+    }
+
+    /**
+     * Compares the model's {@link Cassandra.Schema} against the table's definition in
+     * system_schema and brings the table up to date, adding columns, indexes and views, and altering
+     * table options. Columns, indexes and views missing from the schema are only dropped with the
+     * "drop" option, as they may still be used by other versions of an app. Changing a column's type
+     * or the primary key is not supported by Cassandra and will produce an error instead. Set the
+     * schema option "sync" to true, or to the sync options, to run this every time the model is attached
+     * @param {object} options - sync options
+     * @param {boolean} options.dryRun - only plan the queries, do not execute them
+     * @param {boolean} options.drop - drop the columns, indexes and views missing from the schema
+     * @param {function} callback - receives err, queries - the list of planned or executed queries
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * TestModel.syncSchema({dryRun: true}, (err, queries) => console.log(queries));
+     * // ['ALTER TABLE testkeyspace.test ADD email text']
+     */
+    syncSchema(options, callback) {
+        var model = this;
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+        return callbackOrPromise(callback, (callback) => {
+            var queries;
+            model._executeSchema([(next) => {
+                model._syncSchema(options, (err, result) => {
+                    queries = result;
+                    next(err);
+                });
+            }], (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, queries);
+            });
+        });
+    }
+
+    /**
+     * Plans and, unless it is a dry run, executes the queries of
+     * {@link Cassandra.Model.ColumnFamily#syncSchema|syncSchema()} without queueing them
+     * @param {object} options - sync options
+     * @param {function} done - receives err, queries
+     */
+    _syncSchema(options, done) {
+        var model = this;
+        var cassandra = model.db;
+        cassandra._describeTable(model.qualifiedName, (err, table) => {
+            var queries;
+            if (err) {
+                return done(err);
+            }
+            try {
+                queries = model._planSchemaSync(table, options.drop);
+            } catch (planError) {
+                return done(planError);
+            }
+            if (options.dryRun) {
+                return done(null, queries);
+            }
+            async.eachSeries(queries, (query, next) => cassandra.driver.execute(query, next), (err) => {
+                done(err, queries);
+            });
+        });
+    }
+
+    /**
+     * Creates the list of queries needed to bring a table described by
+     * {@link Cassandra#_describeTable} up to date with the model
+     * @param {object} table - the table's columns, indexes, views and options rows
+     * @param {boolean} drop - drop the columns, indexes and views missing from the schema
+     * @throws Error - the change is not supported
+     * @returns {array} queries - drops first, then additions and table option changes
+     */
+    _planSchemaSync(table, drop) {
+        var model = this;
+        var schema = model.schema;
+        var cassandra = model.db;
+        var tableName = model.cqlName;
+        var quote = Cassandra.Schema.quote;
+        var primaryKeys = Array.isArray(model.primaryKeys[0])
+            ? model.primaryKeys[0].concat(model.primaryKeys.slice(1))
+            : model.primaryKeys;
+        var indexNames = model.indexRegistry;
+        var columns = {};
+        var views = {};
+        var drops = [];
+        var adds = [];
+        for (let column of schema.columns) {
+            columns[schema.columnMap[column]] = column;
+        }
+        for (let viewName in model.views) {
+            views[model.views[viewName].qualifiedName] = viewName;
+        }
+        //nothing to compare against, create everything
+        if (!table.columns.length) {
+            return model._createTypes(false)
+                .concat(model._createTable(false))
+                .concat(Object.keys(indexNames).map((indexName) => model.createIndex(indexNames[indexName].definition, false)))
+                .concat(Object.keys(model.views).map((viewName) => model._createViewQuery(viewName)));
+        }
+        for (let row of table.views) {
+            if (!views[row.view_name]) {
+                drops.push(format('DROP MATERIALIZED VIEW IF EXISTS %s.%s', cassandra.keyspace, quote(row.view_name)));
+            }
+            delete views[row.view_name];
+        }
+        for (let row of table.indexes) {
+            if (!indexNames[row.index_name]) {
+                drops.push(format('DROP INDEX IF EXISTS %s.%s', cassandra.keyspace, quote(row.index_name)));
+            }
+        }
+        for (let row of table.columns) {
+            let column = columns[row.column_name];
+            let isPrimary = row.kind === 'partition_key' || row.kind === 'clustering';
+            if (!column) {
+                if (isPrimary) {
+                    throw new Error(format('Could not sync schema, primary key column '
+                        + 'missing from schema; column: %s, model: %s', row.column_name, model.name));
+                }
+                drops.push(format('ALTER TABLE %s DROP %s', tableName, quote(row.column_name)));
+                continue;
+            }
+            if (isPrimary !== (primaryKeys.indexOf(column) !== -1)) {
+                throw new Error(format('Could not sync schema, primary keys can not '
+                    + 'be changed; column: %s, model: %s', column, model.name));
+            }
+            if ((row.kind === 'static') !== Boolean(schema.staticColumns[column])) {
+                throw new Error(format('Could not sync schema, static columns can not '
+                    + 'be changed; column: %s, model: %s', column, model.name));
+            }
+            if (normalizeType(row.type) !== normalizeType(schema.cqlType(column))) {
+                throw new Error(format('Could not sync schema, column type can not be '
+                    + 'changed from "%s" to "%s"; column: %s, model: %s',
+                    row.type, schema.cqlType(column), column, model.name));
+            }
+            delete columns[row.column_name];
+        }
+        for (let name in columns) {
+            let column = columns[name];
+            if (primaryKeys.indexOf(column) !== -1) {
+                throw new Error(format('Could not sync schema, primary keys can not '
+                    + 'be changed; column: %s, model: %s', column, model.name));
+            }
+            for (let type of Cassandra.Type.dependencies(schema.columnTypes[column])) {
+                let query = type.createQuery(cassandra.keyspace);
+                if (adds.indexOf(query) === -1) {
+                    adds.push(query);
+                }
+            }
+            adds.push(format('ALTER TABLE %s ADD %s %s%s', tableName, schema.identifier(column), schema.cqlType(column),
+                schema.staticColumns[column] ? ' STATIC' : ''));
+        }
+        var tableOptions = schema.tableOptions();
+        var changedOptions = Object.keys(tableOptions).filter((option) => {
+                return table.options && optionChanged(schema.options[option], table.options[option]);
+            });
+        if (changedOptions.length) {
+            adds.push(format('ALTER TABLE %s WITH %s', tableName, changedOptions.map((option) => {
+                return option + ' = ' + tableOptions[option];
+            }).join(' AND ')));
+        }
+        for (let indexName in indexNames) {
+            if (!table.indexes.some((row) => row.index_name === indexName)) {
+                adds.push(model.createIndex(indexNames[indexName].definition, false));
+            }
         }
+        for (let name in views) {
+            adds.push(model._createViewQuery(views[name]));
+        }
+        return drop ? drops.concat(adds) : adds;
     }
 
     /**
      * Creates the table specified by the {@link Cassandra.Model} constructor
-     * @param {function} callback - receives err, result
+     * @param {function|boolean} callback|querystring - if callback, receives err. Else if "false" will return querystring
      */
     _createTable(done) {
         var model = this;
         var schema = model.schema;
-        var dataModel = schema.model;
-        var collections = schema.collections;
-        var compaction = schema.options.compaction;
-        var cassandra = model.db;
+        var tableOptions = schema.tableOptions();
         var orderBy = schema.options.orderBy;
         var options = [];
         var joinColumnTypes = (column) => {
-                if (collections[column]) {
-                    let collection = collections[column];
-                    return format(
-                        '%s %s<%s>',
-                        column,
-                        schema.model[column],
-                        dataModel[column] === 'map' ? collection.join(', ') : collection
-                    );
-                }
-                return column + ' ' + schema.model[column];
+                return schema.identifier(column) + ' ' + schema.cqlType(column)
+                    + (schema.staticColumns[column] ? ' STATIC' : '');
             };
         var query = format(
-                'CREATE TABLE IF NOT EXISTS %s.%s (%s, %s)',
-                cassandra.keyspace,
-                model.name,
+                'CREATE TABLE IF NOT EXISTS %s (%s, %s)',
+                model.cqlName,
                 schema.columns.map(joinColumnTypes).join(', '),
                 model._createPartitionKeyQuery(model.primaryKeys)
             );
@@ -128,125 +415,206 @@ class ColumnFamily extends BaseModel {
             options.push(format(
                 'CLUSTERING ORDER BY (%s)',
                 Object.keys(orderBy).map((field) => {
-                    return field + ' ' + orderBy[field];
-                })
+                    return schema.identifier(field) + ' ' + orderBy[field];
+                }).join(', ')
             ));
         }
-        if (compaction) {
-            options.push('compaction = ' + JSON.stringify(compaction).replace(/"/g, "'"));
+        for (let option in tableOptions) {
+            options.push(option + ' = ' + tableOptions[option]);
         }
         if (options.length) {
             query += ' WITH ' + options.join(' AND ');
         }
-        if (cassandra.connected) {
-            cassandra.driver.execute(query, done);
-        } else {
-            cassandra.queue.push((next) => cassandra.driver.execute(query, next));
+        if (false === done) {
+            return query;
         }
+        model._executeSchema([[query]], done);
+    }
+
+    /**
+     * Creates the user-defined types used by the {@link Cassandra.Schema} columns,
+     * in series so nested types exist before the types using them
+     * @param {function|boolean} callback|querystrings - if callback, receives err. Else if "false" will return a list of querystrings
+     */
+    _createTypes(done) {
+        var model = this;
+        var cassandra = model.db;
+        var queries = model.schema.userTypes().map((type) => type.createQuery(cassandra.keyspace));
+        if (false === done) {
+            return queries;
+        }
+        model._executeSchema(queries.map((query) => [query]), done);
     }
 
     /**
      * Creates the materialized views specified by the {@link Cassandra.Schema} options
-     * @param {function} callback - receives err, result
+     * @param {function|boolean} callback|querystrings - if callback, receives err. Else if "false" will return a list of querystrings
      */
     _createViews(done) {
         var model = this;
         var schema = model.schema;
         var views = schema.options.views;
-        var cassandra = model.db;
-        if (!views) {
-            if (typeof done === 'function') {
-                done();
-            }
-            return;
-        }
         var batch = [];
         for (let viewName in views) {
             batch.push(model.createView(viewName, views[viewName], false, true));
         }
-        if (cassandra.connected) {
-            async.each(batch, (query, next) => cassandra.driver.execute(query, next), done);
-        } else {
-            cassandra.queue.push((next) => {
-                async.each(batch, (query, cb) => cassandra.driver.execute(query, cb), next);
-            });
+        if (false === done) {
+            return batch;
         }
+        model._executeSchema([batch], done);
     }
 
+    /**
+     * Creates the indexes specified by the {@link Cassandra.Schema} options
+     * @param {function|boolean} callback|querystrings - if callback, receives err. Else if "false" will return a list of querystrings
+     */
     _createIndexes(done) {
         var model = this;
-        var indexes = model.schema.options.indexes;
-        var cassandra = model.db;
-        if (!indexes || !indexes.length) {
-            if (typeof done === 'function') {
-                done();
-            }
-            return;
-        }
+        var indexes = model.schema.options.indexes || [];
         var batch = [];
         for (let index of indexes) {
             batch.push(model.createIndex(index, false, true));
         }
-        if (cassandra.connected) {
-            async.each(batch, (query, next) => cassandra.driver.execute(query, next), done);
-        } else {
-            cassandra.queue.push((next) => {
-                async.each(batch, (query, cb) => cassandra.driver.execute(query, cb), next);
-            });
+        if (false === done) {
+            return batch;
         }
+        model._executeSchema([batch], done);
     }
 
     /**
-     * Create an Index on the current table
-     * @param {string|object} index - a string of the index name that will be automatically mapped, or an object with a single key as the index who's value is the custom index name to be stored in the database.
-     * @param {function} done - receives err, result
+     * Create an Index on the current table and add it to {@link Cassandra.Model#indexRegistry}.
+     * Indexes on maps index their keys, on sets and lists their values and on frozen collections the
+     * full collection, unless the target says otherwise: "keys(column)", "values(column)",
+     * "entries(column)" or "full(column)". Custom indexes such as SASI name their class with "using"
+     * and may have "options"
+     * @param {string|object} index - a string of the index name that will be automatically mapped, or an object with a single key as the index who's value is the custom index name to be stored in the database,
+     * or an object of {target, name, using, options}, named <table>_<column>_<kind>_idx when the target has a kind
+     * @param {function|boolean} done - receives err, result. Else if "false" will return querystring
+     * @throws Error - the column does not exist or does not support the index
      * @example
      * createIndex('myIndex', ...); // translates to <table>_myindex_idx
      * createIndex({myIndex: 'custom_index_mapping'}, ...); // does not get translated
+     * createIndex({target: 'entries(attributes)'}, ...); // translates to <table>_attributes_entries_idx
+     * createIndex({
+     *   target: 'name',
+     *   using: 'org.apache.cassandra.index.sasi.SASIIndex',
+     *   options: {mode: 'CONTAINS'}
+     * }, ...);
      */
     createIndex(index, done) {
         var model = this;
-        var query = '';
-        var cassandra = model.db;
-        var dataModel = model.schema.model;
-        var keyspace = cassandra.keyspace;
+        var schema = model.schema;
+        var dataModel = schema.model;
+        var column;
+        var kind;
+        var name;
         //string
         if (index.length) {
-            if (undefined === dataModel[index]) {
-                throw new Error(format('Invalid Index, could not find column "%s" in table model "%s"', index, model.name));
-            }
-            model.indexes[index] = index;
-            query = format(
-                'CREATE INDEX IF NOT EXISTS %s_%s_idx ON %s.%s (%s)',
-                model.name,
-                index,
-                keyspace,
-                model.name,
-                dataModel[index] === 'map' ? format('KEYS(%s)', index) : index
-            );
+            column = index;
+        } else if (undefined === index.target) {
+            column = Object.keys(index)[0];
+            name = index[column];
         } else {
-            let indexKey = Object.keys(index)[0];
-            let indexName = index[indexKey];
-            if (undefined === dataModel[indexKey]) {
-                throw new Error(format('Invalid Index, could not find column "%s" in table model "%s"', indexKey, model.name));
-            }
-            model.indexes[index] = index;
-            model.indexes[indexKey] = indexName;
-            query = format(
-                'CREATE INDEX IF NOT EXISTS %s ON %s.%s (%s)',
-                indexName,
-                keyspace,
-                model.name,
-                dataModel[indexKey] === 'map' ? format('KEYS(%s)', indexKey) : indexKey
+            let match = indexTarget.exec(index.target);
+            column = match ? match[2] : index.target;
+            kind = match ? match[1].toLowerCase() : undefined;
+            name = index.name || (kind ? format('%s_%s_%s_idx', model.name, column, kind) : undefined);
+        }
+        if (undefined === dataModel[column]) {
+            throw new Error(format('Invalid Index, could not find column "%s" in table model "%s"', column, model.name));
+        }
+        var collection = schema.columnTypes[column];
+        collection = collection.frozen || collection;
+        var kinds = {
+                keys: dataModel[column] === 'map',
+                values: !!schema.collections[column],
+                entries: dataModel[column] === 'map',
+                full: dataModel[column] === 'frozen' && !!(collection.set || collection.list || collection.map)
+            };
+        if (kind && !kinds[kind]) {
+            throw new Error(format('Invalid Index, %s indexes are not supported by column "%s" in table model "%s"',
+                kind.toUpperCase(), column, model.name));
+        }
+        if (undefined !== index.using && (typeof index.using !== 'string' || !index.using.length)) {
+            throw new Error(format('Invalid Index, expected the class name of a custom index "using"; '
+                + 'column: %s, model: %s', column, model.name));
+        }
+        if (undefined !== index.options && (undefined === index.using || !index.options
+            || typeof index.options !== 'object' || Array.isArray(index.options))) {
+            throw new Error(format('Invalid Index, options are only supported as an object by custom indexes '
+                + '"using" a class; column: %s, model: %s', column, model.name));
+        }
+        //maps are indexed by their keys, sets and lists by their values without naming it
+        var target = kind || (kinds.keys ? 'keys' : kinds.full ? 'full' : null);
+        name = (name || format('%s_%s_idx', model.name, column)).toLowerCase();
+        var entry = {
+                name: name,
+                column: column,
+                kind: index.using ? 'custom' : target || (kinds.values ? 'values' : 'column'),
+                target: target ? format('%s(%s)', target.toUpperCase(), schema.identifier(column)) : schema.identifier(column),
+                using: index.using,
+                options: index.options,
+                definition: index
+            };
+        var query = format(
+                'CREATE %sINDEX IF NOT EXISTS %s ON %s (%s)',
+                entry.using ? 'CUSTOM ' : '',
+                Cassandra.Schema.quote(name),
+                model.cqlName,
+                entry.target
             );
+        if (entry.using) {
+            query += ' USING ' + toCqlString(entry.using);
+        }
+        if (entry.options) {
+            query += format(' WITH OPTIONS = {%s}', Object.keys(entry.options).map((option) => {
+                return toCqlString(option) + ': ' + toCqlString(entry.options[option]);
+            }).join(', '));
         }
+        model.indexes[column] = indexMapping(entry);
+        model.indexRegistry[name] = entry;
         if (false === done) {
             return query;
-        } else if (cassandra.connected) {
-            cassandra.driver.execute(query, done);
-        } else {
-            cassandra.queue.push((next) => cassandra.driver.execute(query, next));
         }
+        model._executeSchema([[query]], done);
+    }
+
+    /**
+     * Drop an Index of the current table and remove it from {@link Cassandra.Model#indexRegistry}
+     * @param {string} index - the index name, or the column of an index
+     * @param {function|boolean} done - receives err, result. Else if "false" will return querystring
+     * @throws Error - the index does not exist, or the column has more than one index
+     * @example
+     * dropIndex('users_attributes_entries_idx', ...);
+     * dropIndex('name', ...); // drops the only index of the "name" column
+     */
+    dropIndex(index, done) {
+        var model = this;
+        var registry = model.indexRegistry;
+        var entry = registry[String(index).toLowerCase()];
+        if (!entry) {
+            let entries = Object.keys(registry).map((name) => registry[name]).filter((entry) => entry.column === index);
+            if (entries.length > 1) {
+                throw new Error(format('Invalid Index, column "%s" has more than one index, drop it by name; '
+                    + 'model: %s', index, model.name));
+            }
+            entry = entries[0];
+        }
+        if (!entry) {
+            throw new Error(format('Invalid Index, could not find index "%s" in table model "%s"', index, model.name));
+        }
+        delete registry[entry.name];
+        var remaining = Object.keys(registry).filter((name) => registry[name].column === entry.column);
+        if (!remaining.length) {
+            delete model.indexes[entry.column];
+        } else if (model.indexes[entry.column] === indexMapping(entry)) {
+            model.indexes[entry.column] = indexMapping(registry[remaining[0]]);
+        }
+        var query = format('DROP INDEX IF EXISTS %s.%s', model.db.keyspace, Cassandra.Schema.quote(entry.name));
+        if (false === done) {
+            return query;
+        }
+        model._executeSchema([[query]], done);
     }
 
     /**
@@ -260,9 +628,7 @@ class ColumnFamily extends BaseModel {
      * @param {boolean} noQualify - do not attempt to qualify the configuration
      */
     createView(viewName, config, done, noQualify) {
-        var view = config;
         var model = this;
-        var cassandra = model.db;
         if (model.views[viewName]) {
             let error = new Error('View already exists! ' + model.name + ' - ' + viewName);
             if (typeof done === 'function') {
@@ -275,6 +641,23 @@ class ColumnFamily extends BaseModel {
         if (!noQualify) {
             model.schema.qualifyView(viewName, config);
         }
+        var query = model._createViewQuery(viewName);
+        if (false === done) {
+            return query;
+        }
+        model._executeSchema([[query]], done);
+    }
+
+    /**
+     * Builds the create query of a view attached with {@link Cassandra.Model.ColumnFamily#createView|createView()}
+     * mixing in any of the model's primary keys missing from the view's primary keys
+     * @param {string} viewName - the name of the attached view
+     * @returns {string} querystring
+     */
+    _createViewQuery(viewName) {
+        var model = this;
+        var schema = model.schema;
+        var view = model.views[viewName].config;
         //Mixin model's primary keys
         var primaryKeys = Array.isArray(view.primaryKeys[0]) 
             ? view.primaryKeys[0].concat(view.primaryKeys.slice(1)) 
@@ -288,18 +671,18 @@ class ColumnFamily extends BaseModel {
                 primaryKeys.push(key);
             }
         });
-        let where = primaryKeys.map((column) => {
-                return column + ' IS NOT NULL';
+        var where = primaryKeys.map((column) => {
+                return schema.identifier(column) + ' IS NOT NULL';
             });
-        let query = format(
-                'CREATE MATERIALIZED VIEW IF NOT EXISTS %s.%s '
+        var query = format(
+                'CREATE MATERIALIZED VIEW IF NOT EXISTS %s '
                 + 'AS SELECT %s FROM %s WHERE %s %s',
-                cassandra.keyspace,
-                model.views[viewName].qualifiedName,
-                view.select
-                    ? view.select.concat(view.primaryKeys).filter(arrayUnique).join(', ')
-                    : view.primaryKeys.join(', '),
-                model.name,
+                model.views[viewName].cqlName,
+                (view.select ? view.select.concat(primaryKeys) : primaryKeys)
+                    .filter(arrayUnique)
+                    .map((column) => schema.identifier(column))
+                    .join(', '),
+                Cassandra.Schema.quote(model.qualifiedName),
                 where.join(' AND '),
                 model._createPartitionKeyQuery(view.primaryKeys)
             );
@@ -308,17 +691,11 @@ class ColumnFamily extends BaseModel {
             query += format(
                 ' WITH CLUSTERING ORDER BY (%s)',
                 Object.keys(view.orderBy).map((field) => {
-                    return field + ' ' + view.orderBy[field];
-                })
+                    return schema.identifier(field) + ' ' + view.orderBy[field];
+                }).join(', ')
             );
         }
-        if (false === done) {
-            return query;
-        } else if (cassandra.connected) {
-            cassandra.driver.execute(query, done);
-        } else {
-            cassandra.queue.push((next) => cassandra.driver.execute(query, next));
-        }
+        return query;
     }
 
 }
@@ -23,6 +23,7 @@ class MaterializedView extends Model {
         super(model.db, name, model);
         var view = this;
         view.model = model;
+        view.config = config;
         //inherit Factory from Model.ColumnFamily
         view.Factory = model.Factory;
         //expose hook methods;
@@ -34,10 +35,28 @@ class MaterializedView extends Model {
             _findOne: {
                 value: BaseModel.prototype.findOne,
                 writable: false
+            },
+            _count: {
+                value: BaseModel.prototype.count,
+                writable: false
+            },
+            _aggregate: {
+                value: BaseModel.prototype.aggregate,
+                writable: false
             }
         });
     }
 
+    /**
+     * Waits until the parent model's table, views and indexes have been created
+     * Similar to {@link Cassandra.Model.ColumnFamily#ready}
+     * @param {function} callback - receives err
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     */
+    ready(callback) {
+        return this.model.ready(callback);
+    }
+
     /**
      * Find items in the model's materialized view
      * Similar to {@link Cassandra.AbstractModel#find}
@@ -59,7 +78,7 @@ class MaterializedView extends Model {
     find() {
         var args = getFilteredArgs(arguments);
         var view = this;
-        view._find.apply(view, args);
+        return view._find.apply(view, args);
     }
 
     /**
@@ -69,7 +88,27 @@ class MaterializedView extends Model {
     findOne() {
         var args = getFilteredArgs(arguments);
         var view = this;
-        view._findOne.apply(view, args);
+        return view._findOne.apply(view, args);
+    }
+
+    /**
+     * Count the rows in the materialized view
+     * Similar to {@link Cassandra.AbstractModel#count}
+     */
+    count() {
+        var args = getFilteredArgs(arguments);
+        var view = this;
+        return view._count.apply(view, args);
+    }
+
+    /**
+     * Compute aggregates of the rows in the materialized view
+     * Similar to {@link Cassandra.AbstractModel#aggregate}
+     */
+    aggregate() {
+        var args = getFilteredArgs(arguments);
+        var view = this;
+        return view._aggregate.apply(view, args);
     }
 
 }
@@ -0,0 +1,312 @@
+/**
+ * Vertebrae Inc
+ * @package Cassandra-ORM
+ * @exports Migrator
+ */
+"use strict";
+
+const Cassandra = require('./cassandra');
+const fs = require('fs');
+const path = require('path');
+const async = require('async');
+const format = require('util').format;
+const migrationFile = /^(\d+)[^\/]*\.js$/;
+const lockId = 'lock';
+
+/**
+ * Runs numbered migration modules from a directory in order, recording each applied
+ * version in a table in the connection's keyspace. A lightweight transaction lock
+ * keeps multiple instances from running migrations at the same time, an instance
+ * that can't acquire the lock waits for it and then only runs what is still pending.
+ * The lock's TTL is refreshed while the migrations run, so it only expires when the
+ * instance holding it stops.
+ * In general, you should use the instanced method {@link Cassandra#migrate}
+ * @memberof Cassandra
+ * @param {object} db - the database connection instance
+ * @param {string} dir - the directory holding the migration modules
+ * @param {object} options - migration options
+ * @param {number} options.to - the version to migrate up or down to, defaults to the latest
+ * @param {string} options.table - the tracking table, defaults to "schema_migrations"
+ * @param {number} options.lockTtl - seconds before an abandoned lock expires, defaults to 600
+ * @param {number} options.lockTimeout - milliseconds to wait for the lock, defaults to 60000
+ * @param {number} options.lockInterval - milliseconds between lock attempts, defaults to 500
+ * @throws TypeError - invalid parameters, or lockTtl is not a positive integer
+ * @example <caption>migrations/001-add-email.js</caption>
+ * exports.up = (cassandra, next) => {
+ *   cassandra.driver.execute('ALTER TABLE users ADD email text', next);
+ * };
+ * exports.down = (cassandra) => {
+ *   //or return a Promise, or nothing once done
+ *   return cassandra.driver.execute('ALTER TABLE users DROP email');
+ * };
+ */
+class Migrator {
+
+    constructor(db, dir, options) {
+        var migrator = this;
+        options = options || {};
+        if (!(db instanceof Cassandra)) {
+            throw new TypeError('Migrator expects parameter 1 to be an '
+                + 'instanceof Cassandra');
+        }
+        if (!dir || !dir.length) {
+            throw new TypeError('Migrator expects parameter 2 to be a '
+                + 'directory of type "string": @"' + dir + '"');
+        }
+        migrator.db = db;
+        migrator.dir = path.resolve(dir);
+        migrator.options = options;
+        migrator.table = db.keyspace + '.' + (options.table || 'schema_migrations');
+        migrator.lockTable = migrator.table + '_lock';
+        migrator.lockTtl = undefined === options.lockTtl || null === options.lockTtl ? 600 : options.lockTtl;
+        //the ttl is written into the lock queries and sets how often the lock is refreshed
+        if (typeof migrator.lockTtl !== 'number' || migrator.lockTtl % 1 !== 0 || migrator.lockTtl < 1) {
+            throw new TypeError(format('Invalid lockTtl, expected a positive integer of seconds: %j', options.lockTtl));
+        }
+        migrator.lockTimeout = undefined === options.lockTimeout ? 60000 : options.lockTimeout;
+        migrator.lockInterval = options.lockInterval || 500;
+        migrator.owner = Cassandra.uuid();
+    }
+
+    /**
+     * Loads the migration modules, sorted by version
+     * @throws Error - duplicate versions or modules without up/down functions
+     * @returns {array} migrations - a list of {version, name, up, down}
+     */
+    load() {
+        var migrator = this;
+        var versions = {};
+        return fs.readdirSync(migrator.dir)
+            .filter((file) => migrationFile.test(file))
+            .map((file) => {
+                var version = parseInt(migrationFile.exec(file)[1], 10);
+                var migration = require(path.join(migrator.dir, file));
+                if (versions[version]) {
+                    throw new Error(format('Duplicate migration version %d: %s, %s',
+                        version, versions[version], file));
+                }
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(format('Migration must export "up" and "down" functions: %s', file));
+                }
+                versions[version] = file;
+                return {
+                    version: version,
+                    name: file,
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Acquires the lock, runs the pending migrations and releases the lock
+     * @param {function} callback - receives err, migrations - a list of {version, name, direction} that were run
+     */
+    run(callback) {
+        var migrator = this;
+        var migrations;
+        var ran = [];
+        var releaseLock = () => {};
+        try {
+            migrations = migrator.load();
+        } catch (err) {
+            return callback(err);
+        }
+        async.series([
+            (next) => migrator._createTables(next),
+            (next) => migrator._lock(next),
+            (next) => {
+                releaseLock = migrator._keepLock();
+                migrator._plan(migrations, (err, plan) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    async.eachSeries(plan, (step, cb) => {
+                        migrator._runStep(step, (err) => {
+                            if (!err) {
+                                ran.push({
+                                    version: step.migration.version,
+                                    name: step.migration.name,
+                                    direction: step.direction
+                                });
+                            }
+                            cb(err);
+                        });
+                    }, next);
+                });
+            }
+        ], (err) => {
+            releaseLock();
+            //don't hold on to the lock when something failed, unless it was never acquired
+            if (err && err.lockNotAcquired) {
+                return callback(err);
+            }
+            migrator._unlock((unlockError) => callback(err || unlockError, ran));
+        });
+    }
+
+    _execute(query, params, callback) {
+        this.db.driver.execute(query, params, {prepare: true}, callback);
+    }
+
+    _createTables(callback) {
+        var migrator = this;
+        async.series([
+            (next) => migrator._execute(format(
+                'CREATE TABLE IF NOT EXISTS %s (version int PRIMARY KEY, name text, applied_at timestamp)',
+                migrator.table
+            ), [], next),
+            (next) => migrator._execute(format(
+                'CREATE TABLE IF NOT EXISTS %s (id text PRIMARY KEY, owner uuid)',
+                migrator.lockTable
+            ), [], next)
+        ], (err) => callback(err));
+    }
+
+    /**
+     * Inserts the lock row if it does not exist, retrying until the lock timeout
+     * @param {function} callback - receives err
+     */
+    _lock(callback) {
+        var migrator = this;
+        var started = Date.now();
+        var query = format(
+                'INSERT INTO %s (id, owner) VALUES (?, ?) IF NOT EXISTS USING TTL %d',
+                migrator.lockTable,
+                migrator.lockTtl
+            );
+        var attempt = () => {
+                migrator._execute(query, [lockId, migrator.owner], (err, result) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    if (result.rows[0]['[applied]']) {
+                        return callback();
+                    }
+                    if (Date.now() - started >= migrator.lockTimeout) {
+                        let error = new Error(format('Could not acquire migration lock on %s '
+                            + 'after %dms', migrator.lockTable, migrator.lockTimeout));
+                        error.lockNotAcquired = true;
+                        return callback(error);
+                    }
+                    setTimeout(attempt, migrator.lockInterval);
+                });
+            };
+        attempt();
+    }
+
+    /**
+     * Refreshes the TTL of the acquired lock every half of it while the migrations run
+     * @returns {function} stop - stops refreshing the lock
+     */
+    _keepLock() {
+        var migrator = this;
+        var query = format(
+                'UPDATE %s USING TTL %d SET owner = ? WHERE id = ? IF owner = ?',
+                migrator.lockTable,
+                migrator.lockTtl
+            );
+        var timer = setInterval(() => {
+                //a failed refresh is retried by the next one
+                migrator._execute(query, [migrator.owner, lockId, migrator.owner], () => {});
+            }, migrator.lockTtl * 500);
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    _unlock(callback) {
+        var migrator = this;
+        migrator._execute(
+            format('DELETE FROM %s WHERE id = ? IF owner = ?', migrator.lockTable),
+            [lockId, migrator.owner],
+            (err) => callback(err)
+        );
+    }
+
+    /**
+     * Compares the loaded migrations to the applied versions, ups are planned in
+     * ascending order and downs in descending order
+     * @param {array} migrations - the loaded migrations
+     * @param {function} callback - receives err, steps - a list of {migration, direction}
+     */
+    _plan(migrations, callback) {
+        var migrator = this;
+        var latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+        var target = undefined === migrator.options.to ? latest : migrator.options.to;
+        migrator._execute(format('SELECT version FROM %s', migrator.table), [], (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            var applied = {};
+            var loaded = {};
+            var steps = [];
+            result.rows.forEach((row) => applied[row.version] = true);
+            migrations.forEach((migration) => loaded[migration.version] = migration);
+            for (let version of Object.keys(applied).map(Number).sort((a, b) => b - a)) {
+                if (version <= target) {
+                    break;
+                }
+                if (!loaded[version]) {
+                    return callback(new Error(format('Could not revert migration version %d, '
+                        + 'module not found in %s', version, migrator.dir)));
+                }
+                steps.push({migration: loaded[version], direction: 'down'});
+            }
+            for (let migration of migrations) {
+                if (migration.version <= target && !applied[migration.version]) {
+                    steps.push({migration: migration, direction: 'up'});
+                }
+            }
+            callback(null, steps);
+        });
+    }
+
+    /**
+     * Runs a single up or down function and records the result in the tracking table,
+     * migration functions can either call next(err), return a Promise, or if they
+     * don't take next, are done once they return
+     * @param {object} step - {migration, direction}
+     * @param {function} callback - receives err
+     */
+    _runStep(step, callback) {
+        var migrator = this;
+        var migration = step.migration;
+        var called = false;
+        var done = (err) => {
+                if (called) {
+                    return;
+                }
+                called = true;
+                if (err) {
+                    return callback(err);
+                }
+                if (step.direction === 'up') {
+                    migrator._execute(
+                        format('INSERT INTO %s (version, name, applied_at) VALUES (?, ?, ?)', migrator.table),
+                        [migration.version, migration.name, new Date()],
+                        (err) => callback(err)
+                    );
+                } else {
+                    migrator._execute(
+                        format('DELETE FROM %s WHERE version = ?', migrator.table),
+                        [migration.version],
+                        (err) => callback(err)
+                    );
+                }
+            };
+        var result;
+        try {
+            result = migration[step.direction](migrator.db, done);
+        } catch (err) {
+            return done(err);
+        }
+        if (result && typeof result.then === 'function') {
+            result.then(() => done(), (err) => done(err || new Error('Migration failed: ' + migration.name)));
+        } else if (migration[step.direction].length < 2) {
+            done();
+        }
+    }
+}
+
+module.exports = Migrator;
@@ -5,7 +5,21 @@
  */
 "use strict";
 
-const format = require('util').format;
+const async = require('async');
+const callbackOrPromise = require('./utils').callbackOrPromise;
+const toDeleteObject = require('./utils').toDeleteObject;
+const Type = require('./type');
+const ValidationError = require('./validation-error');
+
+//per-column "set" transforms, applied to the values written to the table
+const toStored = (schema, column, value) => schema.setters[column] ? schema.setters[column](value) : value;
+//counters are read as Long values
+const toNumber = (value) => value && typeof value.toNumber === 'function' ? value.toNumber() : Number(value || 0);
+//the write options supported by save and sync
+const toWriteOptions = (options) => ({
+    ttl: options ? options.ttl : undefined,
+    timestamp: options ? options.timestamp : undefined
+});
 
 const defaultTypeMap = {
     set: Array,
@@ -38,8 +52,9 @@ class ModelInstance {
                 value: model.views,
                 writable: false
             },
+            //rows read from counter tables are synced, so saving them only adds the changes
             __$$synced: {
-                value: false,
+                value: Boolean(bypass && model.schema.counterTable),
                 writable: true,
                 enumerable: false
             }
@@ -56,7 +71,12 @@ class ModelInstance {
      * the entire object from the table, then the data is left intact.
      * {@link Cassandra.Model.ModelInstance#restore|restore()} will restore the instances
      * column values to the values in the data store;
-     * @params {boolean} bypass - do not check defaults/required, just set object's values
+     * @params {boolean} bypass - do not check defaults/required/validators, just set object's values,
+     * which are read from a row and passed through the columns' "get" transforms
+     * @throws Error - unknown columns, only if the schema option "strict" is set to "throw",
+     * instances leave out unknown columns by default
+     * @throws Cassandra.ValidationError - missing required values, values not matching their types,
+     * including invalid user-defined type values, and failed validators
      */
     _prepareObject(bypass) {
         var instance = this,
@@ -67,7 +87,13 @@ class ModelInstance {
             columns = schema.columns,
             columnMap = schema.columnMap,
             required = schema.required,
-            defaults = schema.defaults;
+            defaults = schema.defaults,
+            invalid = {}, //columns with invalid user-defined type values, which are not coerced
+            errors = [];
+        //instances are often created from wider objects, so they only check with an explicit "throw"
+        if (!bypass && schema.options.strict === 'throw') {
+            model._qualifyColumns(object, 'create instance');
+        }
         for (let column of columns) {
             //if bypass, use mapped key for result parsing
             let mappedKey = columnMap[column];
@@ -77,6 +103,9 @@ class ModelInstance {
                 if (!objectValue && defaultTypeMap[type]) {
                     objectValue = new defaultTypeMap[type]();
                 }
+                if (schema.getters[column]) {
+                    objectValue = schema.getters[column](objectValue);
+                }
                 instance[column] = save[column] = objectValue;
                 continue;
             }
@@ -93,17 +122,44 @@ class ModelInstance {
                         save[column] = defaultVal;
                     }
                 } else if (!bypass && required[column]) {
-                    throw new Error(format(
-                        'Column value is required > column: %s, columnFamily: %s',
-                        column,
-                        model.name
-                    ));
+                    errors.push({
+                        column: column,
+                        rule: 'required',
+                        message: 'Column value is required',
+                        value: objectValue
+                    });
                 } else if (!objectValue && defaultTypeMap[type]) {
                     save[column] = new defaultTypeMap[type]();
                 }
             }
+            //user-defined type values, including those in collections
+            for (let err of Type.errors(schema.columnTypes[column], save[column], column)) {
+                invalid[column] = true;
+                errors.push({
+                    column: column,
+                    rule: 'type',
+                    message: err.message,
+                    value: save[column]
+                });
+            }
             instance[column] = save[column];
         }
+        if (!bypass) {
+            //columns with "set" transforms are checked once they are transformed, when writing
+            let coerced = schema.coerce(Object.keys(save).reduce((values, column) => {
+                    if (!schema.setters[column] && !invalid[column]) {
+                        values[column] = save[column];
+                    }
+                    return values;
+                }, {}));
+            for (let column in coerced.values) {
+                instance[column] = save[column] = coerced.values[column];
+            }
+            errors = errors.concat(coerced.errors, schema.validate(save));
+            if (errors.length) {
+                throw new ValidationError(model.name, errors);
+            }
+        }
         Object.defineProperty(instance, '__$$object', {
             value: save,
             writable: false
@@ -141,107 +197,301 @@ class ModelInstance {
     /**
      * Save the current instance's data model to the table
      * this will create a new row if you have altered a primary key
-     * or are saving an object for the first time with {@link Cassandra.Model.ModelInstance#save|save()}
+     * or are saving an object for the first time with {@link Cassandra.Model.ModelInstance#save|save()}.
+     * Values are written through the columns' "set" transforms, between the schema's "validate"
+     * and "save" hooks, see {@link Cassandra.Schema#pre}. With the schema option "timestamps",
+     * updatedAt is set and createdAt is written once per row, with "INSERT ... IF NOT EXISTS".
+     * Instances that were not synced yet read the createdAt value of an existing row instead.
+     * Counter tables can't be inserted into, the local counter values are added to the row instead,
+     * or only their changes once the instance is synced
+     * @param {object} options - ttl and timestamp of the write, see {@link Cassandra.AbstractModel#insert}
      * @param {function} callback - receives err
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * user.sync({ttl: 3600}, (err) => console.log(err));
      */
-    sync(callback) {
+    sync(options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
         var instance = this;
         var model = instance.model;
         var schema = model.schema;
         var data = instance.__$$object;
         var columns = schema.columns;
-        var insert = {};
-        for (let column of columns) {
-            insert[column] = instance[column];
-        }
-        model.insert(insert, (err, res) => {
-            if (!err) {
-                //insert local data
-                for (let column in insert) {
-                    data[column] = insert[column];
+        var writeOptions = toWriteOptions(options);
+        return callbackOrPromise(callback, (callback) => {
+            instance._persist(() => instance._validate(columns), (done) => {
+                if (schema.counterTable) {
+                    //synced instances only add the changes since their last sync
+                    return instance._saveCounters(!instance.__$$synced, writeOptions, done);
                 }
-                instance.__$$synced = true;
-            }
-            callback(err);
+                var timestamps = schema.timestamps || {};
+                var createdAt = timestamps.createdAt;
+                var insertRow = () => {
+                    //read after the hooks, which may have changed the instance
+                    var values = {};
+                    var insert = {};
+                    for (let column of columns) {
+                        values[column] = instance[column];
+                        //createdAt is only written once, by _setCreatedAt
+                        if (column !== createdAt) {
+                            insert[column] = toStored(schema, column, values[column]);
+                        }
+                    }
+                    model.insert(insert, writeOptions, (err, result) => {
+                        if (!err) {
+                            //insert local data
+                            for (let column in values) {
+                                data[column] = values[column];
+                            }
+                            instance.__$$synced = true;
+                        }
+                        done(err, result);
+                    });
+                };
+                var now = new Date();
+                if (timestamps.updatedAt) {
+                    instance[timestamps.updatedAt] = now;
+                }
+                if (!createdAt || instance.__$$synced) {
+                    return insertRow();
+                }
+                var keys = {};
+                for (let key of [].concat.apply([], model.primaryKeys)) {
+                    keys[key] = toStored(schema, key, instance[key]);
+                }
+                model._setCreatedAt(keys, instance[createdAt] || now, writeOptions.ttl, (err, date) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    instance[createdAt] = date;
+                    insertRow();
+                });
+            }, callback);
         });
     }
 
     /**
-     * Save values altered since instantiation
+     * Save values altered since instantiation through the columns' "set" transforms, on counter tables
+     * the changes to the local counter values are saved as increments. Same as
+     * {@link Cassandra.Model.ModelInstance#sync|sync()} for instances that have not been synced.
+     * With the schema option "timestamps", updatedAt is set
+     * @param {object} options - ttl and timestamp of the write, see {@link Cassandra.AbstractModel#update}.
+     * The ttl only applies to the values that are saved
      * @param {function} callback - receives err
+     * @returns {Promise|undefined} a Promise if no callback is passed
      */
-    save(callback) {
+    save(options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
         var instance = this;
         var synced = instance.__$$synced;
         if (!synced) {
-            return instance.sync(callback);
+            return instance.sync(options, callback);
         }
         var model = instance.model;
         var primaries = model.primaries;
         var schema = model.schema;
         var data = instance.__$$object;
         var columns = schema.columns;
+        var changed = () => columns.filter((column) => data[column] !== instance[column]);
+        var writeOptions = toWriteOptions(options);
+        return callbackOrPromise(callback, (callback) => {
+            instance._persist(() => instance._validate(changed()), (done) => {
+                if (schema.counterTable) {
+                    return instance._saveCounters(false, writeOptions, done);
+                }
+                if (schema.timestamps && schema.timestamps.updatedAt) {
+                    instance[schema.timestamps.updatedAt] = new Date();
+                }
+                var changes = {};
+                var update = {};
+                var where = {};
+                for (let column of columns) {
+                    if (primaries[column]) {
+                        where[column] = toStored(schema, column, data[column]);
+                    }
+                }
+                for (let column of changed()) {
+                    changes[column] = instance[column];
+                    update[column] = toStored(schema, column, instance[column]);
+                }
+                model.update(where, update, writeOptions, (err, result) => {
+                    if (!err) {
+                        //update local data
+                        for (let column in changes) {
+                            data[column] = changes[column];
+                        }
+                    }
+                    done(err, result);
+                });
+            }, callback);
+        });
+    }
+
+    /**
+     * Type checks and validates the instance's values of a list of columns, columns
+     * with "set" transforms are type checked once they are transformed, when writing
+     * @param {array} columns - the columns to validate
+     * @returns {array} errors - a list of {column, rule, message, value}, empty if valid
+     */
+    _validate(columns) {
+        var instance = this;
+        var schema = instance.model.schema;
+        var values = {};
+        var typed = {};
+        for (let column of columns) {
+            values[column] = instance[column];
+            if (!schema.setters[column]) {
+                typed[column] = values[column];
+            }
+        }
+        return schema.coerce(typed).errors.concat(schema.validate(values, instance));
+    }
+
+    /**
+     * Runs the validation and the write of the instance between the schema's
+     * "validate" and "save" hooks, see {@link Cassandra.Schema#pre}
+     * @param {function} validate - returns a list of validation errors
+     * @param {function} write - writes the instance, receives a done(err, result) function
+     * @param {function} callback - receives err
+     */
+    _persist(validate, write, callback) {
+        var instance = this;
+        var model = instance.model;
+        var schema = model.schema;
+        var context = {
+                instance: instance
+            };
+        async.series([
+            (next) => schema.runHooks('pre', 'validate', instance, context, next),
+            (next) => {
+                var errors = validate();
+                next(errors.length ? new ValidationError(model.name, errors) : null);
+            },
+            (next) => schema.runHooks('post', 'validate', instance, context, next),
+            (next) => schema.runHooks('pre', 'save', instance, context, next),
+            (next) => {
+                var written = false;
+                try {
+                    write((err, result) => {
+                        written = true;
+                        context.result = result;
+                        next(err);
+                    });
+                } catch (err) {
+                    if (written) {
+                        throw err;
+                    }
+                    //type checks and validators of the query
+                    next(err);
+                }
+            },
+            (next) => schema.runHooks('post', 'save', instance, context, next)
+        ], (err) => callback(err));
+    }
+
+    /**
+     * Saves the local counter values as $incr/$decr updates
+     * @param {boolean} whole - add the whole local values instead of the changes since the last sync
+     * @param {object} options - the write options, which are not supported by counter tables
+     * @param {function} callback - receives err, result
+     */
+    _saveCounters(whole, options, callback) {
+        var instance = this;
+        var model = instance.model;
+        var schema = model.schema;
+        var data = instance.__$$object;
         var update = {};
         var where = {};
-        for (let column of columns) {
-            if (primaries[column]) {
-                where[column] = data[column];
+        for (let column of schema.columns) {
+            if (!schema.counters[column]) {
+                where[column] = toStored(schema, column, whole ? instance[column] : data[column]);
+                continue;
             }
-            if (data[column] !== instance[column]) {
-                update[column] = instance[column];
+            let amount = toNumber(instance[column]) - (whole ? 0 : toNumber(data[column]));
+            if (amount) {
+                update[column] = amount > 0 ? {$incr: amount} : {$decr: -amount};
             }
         }
-        model.update(where, update, (err, res) => {
-            if (!err) {
-                //update local data
-                for (let column in update) {
-                    data[column] = update[column];
+        var done = (err, result) => {
+                if (!err) {
+                    for (let column in schema.counters) {
+                        data[column] = instance[column];
+                    }
+                    instance.__$$synced = true;
                 }
-            }
-            callback(err);
-        });
+                callback(err, result);
+            };
+        if (!Object.keys(update).length) {
+            return done(null);
+        }
+        model.update(where, update, options, done);
     }
 
     /**
      * Delete columns or entire rows from a model instance. When deleting
      * a deleteObject of columns, the projected columns will be set to null
      * on the instance and the data store. This is essentially the same as
-     * setting values to null and using save.
+     * setting values to null and using save. The delete runs between the
+     * schema's "remove" hooks, see {@link Cassandra.Schema#pre}.
      * Currently, this method doesn't support using timestamps but it will soon
      * @todo support @usingTimestamp/delete options
-     * @param {array} deleteObject - an array of columns to delete [optional]
+     * @param {array|object} deleteObject - an array of columns to delete, or a delete object,
+     * see {@link Cassandra.AbstractModel#delete} [optional]
      * @param {function} callback - receives err
+     * @returns {Promise|undefined} a Promise if no callback is passed
      */
     delete(deleteObject, callback) {
         var instance = this;
         var model = instance.model;
         var data = instance.__$$object;
         var keys = model.primaryKeys;
+        var schema = model.schema;
         var where = {};
         if (deleteObject && typeof deleteObject === 'function') {
             callback = deleteObject;
             deleteObject = null;
         }
-        var callbackHandler = (err, result) => {
-                if (!err) {
-                    instance.__$$synced = false;
-                    //only update deleteObject fields, leave data intact
-                    if (deleteObject) {
-                        for (let column in deleteObject) {
-                            data[column] = null;
-                        }
-                    }
-                }
-                callback(err);
-            };
-        for (let key of keys) {
-            where[key] = data[key];
+        if (Array.isArray(deleteObject)) {
+            deleteObject = toDeleteObject(deleteObject);
         }
-        if (deleteObject) {
-            model.delete(where, deleteObject, callbackHandler);
-        } else {
-            model.delete(where, callbackHandler);
+        for (let key of keys) {
+            where[key] = toStored(schema, key, data[key]);
         }
+        return callbackOrPromise(callback, (callback) => {
+            var context = {
+                    instance: instance
+                };
+            async.series([
+                (next) => schema.runHooks('pre', 'remove', instance, context, next),
+                (next) => {
+                    var callbackHandler = (err, result) => {
+                            if (!err) {
+                                instance.__$$synced = false;
+                                //only update deleteObject fields, leave data intact
+                                if (deleteObject) {
+                                    for (let column in deleteObject) {
+                                        data[column] = null;
+                                    }
+                                }
+                            }
+                            context.result = result;
+                            next(err);
+                        };
+                    if (deleteObject) {
+                        model.delete(where, deleteObject, callbackHandler);
+                    } else {
+                        model.delete(where, callbackHandler);
+                    }
+                },
+                (next) => schema.runHooks('post', 'remove', instance, context, next)
+            ], (err) => callback(err));
+        });
     }
 }
 
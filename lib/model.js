@@ -10,8 +10,11 @@
 
 const Cassandra = require('./cassandra');
 const util = require('util');
+const Transform = require('stream').Transform;
 const format = util.format;
 
+const ValidationError = require('./validation-error');
+
 const OperatorMap = {
     $gt: '>',
     $gte: '>=',
@@ -30,6 +33,8 @@ Object.keys(dataTypes).forEach((keys, index) => {
 TypeMap.list = 1;
 TypeMap.set = 2;
 TypeMap.map = 3;
+//frozen collections can only be replaced as a whole
+TypeMap.frozen = 4;
 
 const FilterMap = {
     $in: 'IN',
@@ -37,7 +42,35 @@ const FilterMap = {
     $containsKey: 'CONTAINS KEY'
 };
 
-const getArgCount = Cassandra.utils.getArgCount;
+//options of insert, update and delete
+const writeOptions = {if: 1, ifExists: 1, ifNotExists: 1, ttl: 1, timestamp: 1};
+//the longest ttl supported by Cassandra, 20 years in seconds
+const maxTtl = 630720000;
+//CQL aggregates of Model.aggregate, sum and avg need numbers
+const aggregateFunctions = {count: 1, min: 1, max: 1, sum: 1, avg: 1};
+const numericTypes = {int: 1, bigint: 1, smallint: 1, tinyint: 1, varint: 1, decimal: 1, float: 1, double: 1, counter: 1};
+//selectors named with AS, eg: "count(*) AS total"
+const selectorAlias = /\sAS\s+(\w+)$/i;
+const getCallbackArgs = Cassandra.utils.getCallbackArgs;
+const callbackOrPromise = Cassandra.utils.callbackOrPromise;
+const toDeleteObject = Cassandra.utils.toDeleteObject;
+//resolves the optional (queryObject, projection, options, callback) arguments of find
+const parseFindArgs = (args) => {
+    var parsed = getCallbackArgs(args);
+    var projection = parsed.args[1] || null;
+    var options = parsed.args[2];
+    //if projection is an object then it's the options object
+    if (projection && !Array.isArray(projection)) {
+        options = projection;
+        projection = null;
+    }
+    return {
+        queryObject: parsed.args[0] || null,
+        projection: projection,
+        options: options,
+        callback: parsed.callback
+    };
+};
 /**
  * Create a new Cassandra Model attached to a {@link Cassandra.Schema} on the named table and creating the table if it doesn't exist. In general, you should use the instanced method {@link Cassandra#model} to attach models
  * @memberof Cassandra
@@ -90,23 +123,44 @@ class Model {
         });
     }
 
+    /**
+     * The name of the model's table or view as it's used in CQL, qualified by the keyspace and quoted where needed
+     * @returns {string} name
+     */
+    get cqlName() {
+        var model = this;
+        return model.db.keyspace + '.' + Cassandra.Schema.quote(model.qualifiedName);
+    }
+
+    /**
+     * Starts a chainable query of the model's table or materialized view
+     * @returns {Cassandra.Query} query
+     * @example
+     * UserModel.query().where({name: 'foo'}).select(['age']).exec((err, rows) => console.log(err, rows));
+     */
+    query() {
+        return new Cassandra.Query(this);
+    }
+
     /**
      * Given a primary key array object, this will convert it to a
      * PRIMARY KEY (...) string value to use in table creation
      * @param {array} primaryKeyArray - An array specifying the primary key columns, can be compound and composite as well
      */
     _createPartitionKeyQuery(primaryKeyArray) {
+        var schema = this.schema;
+        var identifiers = (keys) => keys.map((key) => schema.identifier(key)).join(', ');
         var query = 'PRIMARY KEY (';
         //create composite partition key
         if (Array.isArray(primaryKeyArray[0])) {
-            query += format('(%s)', primaryKeyArray[0].join(', '));
+            query += format('(%s)', identifiers(primaryKeyArray[0]));
             //composite key with clustering columns
             if (primaryKeyArray.length > 1) {
                 query += ', ';
             }
-            query += primaryKeyArray.slice(1).join(', ');
+            query += identifiers(primaryKeyArray.slice(1));
         } else {
-            query += primaryKeyArray.join(', ');
+            query += identifiers(primaryKeyArray);
         }
         query += ')';
         return query;
@@ -132,21 +186,196 @@ class Model {
         return columns;
     }
 
+    /**
+     * Checks the columns of insert and update values, delete projections and instance
+     * objects against the schema. Depending on the schema option "strict", unknown
+     * columns throw ("throw", the default) or are left out ("ignore"), $operators are kept.
+     * Instances are only checked when "strict" is set to "throw"
+     * @param {object} object - an object representing column:value
+     * @param {string} action - the action the columns are used for, used in errors
+     * @throws Error - unknown column
+     * @returns {object} object - the object, without the unknown columns when they are ignored
+     */
+    _qualifyColumns(object, action) {
+        var model = this;
+        var schema = model.schema;
+        var qualified = {};
+        for (let field in object) {
+            if (!schema.model[field] && field[0] !== '$') {
+                if (schema.options.strict === 'ignore') {
+                    continue;
+                }
+                throw new Error(format('Could not %s, unknown column: %s; model: %s', action, field, model.name));
+            }
+            qualified[field] = object[field];
+        }
+        return qualified;
+    }
+
+    /**
+     * Runs the schema's column validators, see {@link Cassandra.Schema#validate}
+     * @param {object} object - column:values to validate
+     * @param {array} errors - type errors found while coercing the values, reported along with the validators
+     * @param {object} context - the whole object passed to custom validators, defaults to object
+     * @throws Cassandra.ValidationError - the values failed the type checks or column validators
+     */
+    _validate(object, errors, context) {
+        var model = this;
+        errors = (errors || []).concat(model.schema.validate(object, context));
+        if (errors.length) {
+            throw new ValidationError(model.name, errors);
+        }
+    }
+
+    /**
+     * Coerces a single value, see {@link Cassandra.Schema#coerceValue}
+     * @param {string} column - the column name
+     * @param {mixed} value - the value to coerce
+     * @param {string} part - "element" or "key" to coerce collection elements
+     * @param {array} errors - receives {column, rule, message, value} if the value does not match the type
+     * @returns {mixed} value - the coerced value, or the value as it is if it does not match the type
+     */
+    _coerceValue(column, value, part, errors) {
+        try {
+            return this.schema.coerceValue(column, value, part);
+        } catch (err) {
+            errors.push({
+                column: column,
+                rule: 'type',
+                message: err.message,
+                value: value
+            });
+            return value;
+        }
+    }
+
+    /**
+     * Executes a write query between the schema's pre and post hooks of the event,
+     * see {@link Cassandra.Schema#pre}, pre hooks may change the query and params or abort it
+     * @param {string} event - insert, update or delete
+     * @param {string} query - the CQL query
+     * @param {array} params - the query parameters
+     * @param {function} callback - receives err, result
+     */
+    _execute(event, query, params, callback) {
+        var model = this;
+        var schema = model.schema;
+        var context = {
+                model: model,
+                query: query,
+                params: params
+            };
+        schema.runHooks('pre', event, model, context, (err) => {
+            if (err) {
+                return callback(err);
+            }
+            model.db.driver.execute(context.query, context.params, {prepare: true}, (err, result) => {
+                if (err) {
+                    return callback(err);
+                }
+                context.result = result;
+                schema.runHooks('post', event, model, context, (err) => callback(err, result));
+            });
+        });
+    }
+
+    /**
+     * Executes a built insert, update or delete query, see {@link Cassandra.Model#_execute}.
+     * Lightweight transactions receive {applied: boolean, current: object|null} instead of the result,
+     * current holds the column:values of the existing row that failed the conditions
+     * @param {string} event - insert, update or delete
+     * @param {object} built - {query: string, params: array, conditional: boolean}
+     * @param {function} callback - receives err, result
+     */
+    _executeConditional(event, built, callback) {
+        var model = this;
+        var dataMap = model.schema.dataMap;
+        model._execute(event, built.query, built.params, (err, result) => {
+            if (err || !built.conditional) {
+                return callback(err, result);
+            }
+            var row = result && result.rows && result.rows[0];
+            var current = null;
+            for (let key of row ? Object.keys(row) : []) {
+                if (key !== '[applied]') {
+                    current = current || {};
+                    current[dataMap[key] || key] = row[key];
+                }
+            }
+            callback(null, {
+                applied: !row || false !== row['[applied]'],
+                current: current
+            });
+        });
+    }
+
+    /**
+     * Checks if an object only holds write options rather than columns,
+     * so they can be passed in place of a delete object
+     * @param {object} object - delete object or write options
+     * @returns {boolean}
+     */
+    _isWriteOptions(object) {
+        var model = this;
+        var keys = object && !Array.isArray(object) ? Object.keys(object) : [];
+        return keys.length > 0 && keys.every((key) => writeOptions[key] && !model.schema.model[key]);
+    }
+
+    /**
+     * Sets the createdAt column of a row with "INSERT ... IF NOT EXISTS", so it's only
+     * written once, see the schema option "timestamps". It's part of the instance's sync,
+     * so it does not run the insert hooks of its own
+     * @param {object} keys - the primary key column:values of the row
+     * @param {Date} date - the creation date
+     * @param {number} ttl - the ttl of the row's values, so createdAt expires with them [optional]
+     * @param {function} callback - receives err, the createdAt value of the row
+     */
+    _setCreatedAt(keys, date, ttl, callback) {
+        if (typeof ttl === 'function') {
+            callback = ttl;
+            ttl = null;
+        }
+        var model = this;
+        var schema = model.schema;
+        var column = schema.timestamps.createdAt;
+        var columns = Object.keys(keys).concat(column);
+        var values = columns.map((key) => key === column ? date : keys[key]);
+        var using = model._buildUsing({ttl: ttl}, 'insert');
+        var query = format(
+                'INSERT INTO %s (%s) VALUES(%s) IF NOT EXISTS%s',
+                model.cqlName,
+                columns.map((key) => schema.identifier(key)).join(', '),
+                new Array(columns.length).join('?,') + '?',
+                using.clause
+            );
+        model.db.driver.execute(query, values.concat(using.values), {prepare: true}, (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            //not applied, the existing row is returned
+            var row = result && result.rows && result.rows[0];
+            callback(null, row && false === row['[applied]'] ? row[schema.columnMap[column]] : date);
+        });
+    }
+
     _buildQueryComponents(queryObject) {
         var model = this;
         var values = [];
         var where = [];
+        var errors = [];
         var columns = model._qualifyQueryColumns(queryObject);
+        var coerce = (column, value, part) => model._coerceValue(column, value, part, errors);
         //var columns = Object.keys(queryObject);
         for (let column of columns) {
             let value = queryObject[column];
+            let identifier = model.schema.identifier(column);
             if (undefined === value) {
                 continue;
             }
             //make sure this isn't a String or Number, but should be an object
             if (value.length || !isNaN(value) || value instanceof Cassandra.types.Uuid) {
-                values.push(value);
-                where.push(column + '=?');
+                values.push(coerce(column, value));
+                where.push(identifier + '=?');
                 continue;
             }
             for (let operator in value) {
@@ -154,10 +383,10 @@ class Model {
                 let mappedOperator = OperatorMap[operator];
                 if (mappedOperator) {
                     if (value[operator] instanceof Cassandra.Timeuuid) {
-                        where.push(column + mappedOperator + value[operator].value);
+                        where.push(identifier + mappedOperator + value[operator].value);
                     } else {
-                        where.push(column + mappedOperator + '?');
-                        values.push(value[operator]);
+                        where.push(identifier + mappedOperator + '?');
+                        values.push(coerce(column, value[operator]));
                     }
                 } else {
                     //in, contains, contains key
@@ -166,23 +395,482 @@ class Model {
                         throw new Error('Invalid Operator type, not supported: ' + operator);
                     }
                     if (operator === '$in') {
-                        values = values.concat(value[operator]);
+                        values = values.concat(value[operator].map((item) => coerce(column, item)));
                         let poly = new Array(value[operator].length);
-                        where.push(column + ' ' + mappedOperator + ' (' + poly.join('?,') + '?)');
+                        where.push(identifier + ' ' + mappedOperator + ' (' + poly.join('?,') + '?)');
                     } else {
                         //contains, contains key
-                        values.push(value[operator]);
-                        where.push(column + ' ' + mappedOperator + ' ?');
+                        values.push(coerce(column, value[operator], operator === '$containsKey' ? 'key' : 'element'));
+                        where.push(identifier + ' ' + mappedOperator + ' ?');
                     }
                 }
             }
         }
+        if (errors.length) {
+            throw new ValidationError(model.name, errors);
+        }
         return {
             where: where.join(' AND '),
             values: values,
             columns: columns
         };
     }
+
+    /**
+     * Builds the IF clause of a lightweight transaction from the write options "ifNotExists" of inserts,
+     * and "ifExists" or "if" of updates and deletes. "if" takes an object of column:value of the
+     * same operators as the queryObject, the primary keys can't be part of it
+     * @param {object} options - the write options
+     * @param {string} action - insert, update or delete
+     * @throws Error - options not supported by the action, conditions on primary keys
+     * @throws Cassandra.ValidationError - the values failed the type checks
+     * @returns {object} {clause: string, values: array, conditional: boolean}
+     */
+    _buildConditions(options, action) {
+        var model = this;
+        var conditions = options && options.if && Object.keys(options.if).length ? options.if : null;
+        options = options || {};
+        if (action === 'insert' ? conditions || options.ifExists : options.ifNotExists) {
+            throw new Error(format('Could not %s, the %s option is not supported by %ss; model: %s',
+                action, conditions ? 'if' : options.ifExists ? 'ifExists' : 'ifNotExists', action, model.name));
+        }
+        if (conditions && options.ifExists) {
+            throw new Error(format('Could not %s, if and ifExists can not be combined; model: %s', action, model.name));
+        }
+        if (options.ifNotExists || options.ifExists) {
+            return {
+                clause: options.ifNotExists ? ' IF NOT EXISTS' : ' IF EXISTS',
+                values: [],
+                conditional: true
+            };
+        }
+        if (!conditions) {
+            return {
+                clause: '',
+                values: [],
+                conditional: false
+            };
+        }
+        var keys = model._keyLayout();
+        for (let column in conditions) {
+            if (keys.partitionKeys.indexOf(column) !== -1 || keys.clusteringKeys.indexOf(column) !== -1) {
+                throw new Error(format('Could not %s, primary keys can not be part of the if conditions; '
+                    + 'column: %s, model: %s', action, column, model.name));
+            }
+        }
+        var components = model._buildQueryComponents(conditions);
+        return {
+            clause: ' IF ' + components.where,
+            values: components.values,
+            conditional: true
+        };
+    }
+
+    /**
+     * Builds the USING clause from the write options "ttl", in seconds, of inserts and updates and
+     * "timestamp", in microseconds or as a Date, of inserts, updates and deletes. Both are bound
+     * as parameters, a ttl of 0 writes values that don't expire, despite the table option "default_time_to_live"
+     * @param {object} options - the write options
+     * @param {string} action - insert, update or delete
+     * @throws Error - invalid ttl or timestamp, or options not supported by the action or table
+     * @returns {object} {clause: string, values: array}
+     */
+    _buildUsing(options, action) {
+        var model = this;
+        var using = [];
+        var values = [];
+        options = options || {};
+        var isSet = (option) => undefined !== options[option] && null !== options[option];
+        if (isSet('ttl')) {
+            if (action === 'delete') {
+                throw new Error(format('Could not %s, the ttl option is not supported by %ss; model: %s',
+                    action, action, model.name));
+            }
+            let ttl = options.ttl;
+            if (typeof ttl !== 'number' || ttl % 1 !== 0 || ttl < 0 || ttl > maxTtl) {
+                throw new Error(format('Invalid ttl, expected an integer of seconds up to %d: %j; model: %s',
+                    maxTtl, ttl, model.name));
+            }
+            using.push('TTL ?');
+            values.push(ttl);
+        }
+        if (isSet('timestamp')) {
+            let timestamp = options.timestamp instanceof Date ? options.timestamp.getTime() * 1000 : options.timestamp;
+            if (!(timestamp instanceof Cassandra.types.Long) && (typeof timestamp !== 'number' || timestamp % 1 !== 0)) {
+                throw new Error(format('Invalid timestamp, expected microseconds or a Date: %j; model: %s',
+                    options.timestamp, model.name));
+            }
+            if (options.if || options.ifExists || options.ifNotExists) {
+                throw new Error(format('Could not %s, the timestamp option is not supported by lightweight '
+                    + 'transactions; model: %s', action, model.name));
+            }
+            using.push('TIMESTAMP ?');
+            values.push(timestamp);
+        }
+        if (using.length && model.schema.counterTable) {
+            throw new Error(format('Could not %s, ttl and timestamp are not supported by counter tables; model: %s',
+                action, model.name));
+        }
+        return {
+            clause: using.length ? ' USING ' + using.join(' AND ') : '',
+            values: values
+        };
+    }
+
+    /**
+     * Get the partition and clustering keys of the model's table, or of its materialized view
+     * with the table's primary keys it adds, and their clustering order
+     * @returns {object} {partitionKeys: array, clusteringKeys: array, orderBy: object}
+     */
+    _keyLayout() {
+        var model = this;
+        var primaryKeys = model.isMaterializedView ? model.config.primaryKeys : model.primaryKeys;
+        var partitionKeys = Array.isArray(primaryKeys[0]) ? primaryKeys[0] : [primaryKeys[0]];
+        var clusteringKeys = primaryKeys.slice(1);
+        if (model.isMaterializedView) {
+            let tableKeys = model.model._keyLayout();
+            clusteringKeys = clusteringKeys.concat(tableKeys.partitionKeys, tableKeys.clusteringKeys).filter((key, index, keys) => {
+                return partitionKeys.indexOf(key) === -1 && keys.indexOf(key) === index;
+            });
+        }
+        return {
+            partitionKeys: partitionKeys,
+            clusteringKeys: clusteringKeys,
+            orderBy: (model.isMaterializedView ? model.config.orderBy : model.schema.options.orderBy) || {}
+        };
+    }
+
+    /**
+     * Checks the find options against the key layout of the model's table or view,
+     * see {@link Cassandra.AbstractModel#find}
+     * @param {object} queryObject - an object representing column:value
+     * @param {array} projection - the columns to select
+     * @param {object} options - the find options
+     * @throws Error - the options are not supported by the model
+     */
+    _qualifyFindOptions(queryObject, projection, options) {
+        var model = this;
+        var schema = model.schema;
+        var keys = model._keyLayout();
+        var isCount = (value) => typeof value === 'number' && value > 0 && value % 1 === 0;
+        //a limit of 0 means no limit
+        var unset = {limit: [undefined, null, 0], perPartitionLimit: [undefined, null]};
+        for (let option in unset) {
+            if (unset[option].indexOf(options[option]) === -1 && !isCount(options[option])) {
+                throw new Error(format('Invalid %s, expected a positive integer: %j; model: %s', option, options[option], model.name));
+            }
+        }
+        if (options.orderBy) {
+            let columns = Object.keys(options.orderBy);
+            let reversed = [];
+            columns.forEach((column, index) => {
+                let direction = String(options.orderBy[column]).toLowerCase();
+                if (keys.clusteringKeys[index] !== column) {
+                    throw new Error(format('Invalid orderBy, expected the clustering columns in the order of '
+                        + 'the primary key: %s; column: %s, model: %s', keys.clusteringKeys.join(', '), column, model.name));
+                }
+                if (direction !== 'asc' && direction !== 'desc') {
+                    throw new Error(format('Invalid orderBy, expected asc or desc: %s; column: %s, model: %s',
+                        options.orderBy[column], column, model.name));
+                }
+                reversed.push(direction !== (keys.orderBy[column] || 'asc').toLowerCase());
+            });
+            if (reversed.some((reverse) => reverse !== reversed[0])) {
+                throw new Error(format('Invalid orderBy, expected the clustering order or its reverse for '
+                    + 'every column; model: %s', model.name));
+            }
+            for (let key of keys.partitionKeys) {
+                if (!queryObject || undefined === queryObject[key]) {
+                    throw new Error(format('Invalid orderBy, the partition keys must be restricted; column: %s, model: %s',
+                        key, model.name));
+                }
+            }
+        }
+        if (options.distinct) {
+            for (let column of projection || []) {
+                if (keys.partitionKeys.indexOf(column) === -1 && !schema.staticColumns[column]) {
+                    throw new Error(format('Invalid distinct, only partition keys and static columns can be '
+                        + 'selected; column: %s, model: %s', column, model.name));
+                }
+            }
+            if (options.perPartitionLimit) {
+                throw new Error(format('Invalid distinct, perPartitionLimit is not supported by distinct; model: %s',
+                    model.name));
+            }
+        }
+        if (options.groupBy) {
+            let primaryKeys = keys.partitionKeys.concat(keys.clusteringKeys);
+            let groupBy = [].concat(options.groupBy);
+            groupBy.forEach((column, index) => {
+                if (primaryKeys[index] !== column) {
+                    throw new Error(format('Invalid groupBy, expected the primary keys in their order: %s; '
+                        + 'column: %s, model: %s', primaryKeys.join(', '), column, model.name));
+                }
+            });
+        }
+    }
+
+    /**
+     * Builds the SELECT query of {@link Cassandra.AbstractModel#find}
+     * @param {object} queryObject - an object representing column:value
+     * @param {array} projection - the columns to select, default "*" or the partition keys with the "distinct" option
+     * @param {object} options - distinct, groupBy, orderBy, perPartitionLimit, limit and allowFiltering
+     * @throws Error - unknown columns, or options not supported by the model
+     * @returns {object} {query: string, params: array, projection: array|null}
+     */
+    _buildFindQuery(queryObject, projection, options) {
+        var model = this;
+        var schema = model.schema;
+        var identifiers = (columns) => columns.map((column) => schema.identifier(column)).join(', ');
+        options = options || {};
+        model._qualifyFindOptions(queryObject, projection, options);
+        if (options.distinct && !projection) {
+            projection = model._keyLayout().partitionKeys;
+        }
+        var queryComponents = model._buildQueryComponents(queryObject);
+        //columns are selected by their identifiers, anything else such as functions as it is
+        var selection = projection ? projection.map((field) => {
+                return schema.model[field] ? schema.identifier(field) : field;
+            }).join(', ') : '*';
+        var query = format('SELECT %s%s FROM %s', options.distinct ? 'DISTINCT ' : '', selection, model.cqlName);
+        if (queryComponents.where.length > 0) {
+            query += ' WHERE ' + queryComponents.where;
+        }
+        if (options.groupBy) {
+            query += ' GROUP BY ' + identifiers([].concat(options.groupBy));
+        }
+        if (options.orderBy) {
+            query += ' ORDER BY ' + Object.keys(options.orderBy).map((column) => {
+                return schema.identifier(column) + ' ' + String(options.orderBy[column]).toLowerCase();
+            }).join(', ');
+        }
+        if (options.perPartitionLimit) {
+            query += ' PER PARTITION LIMIT ' + options.perPartitionLimit;
+        }
+        if (options.limit) {
+            query += ' LIMIT ' + options.limit;
+        }
+        if (options.allowFiltering) {
+            query += ' ALLOW FILTERING';
+        }
+        return {
+            query: query,
+            params: queryComponents.values,
+            projection: projection
+        };
+    }
+
+    /**
+     * Builds the INSERT query of {@link Cassandra.AbstractModel#insert}
+     * @param {object} queryObject - an object representing column:value
+     * @param {object} options - the write options: ifNotExists, ttl and timestamp
+     * @throws Error - counter tables can only be updated, unknown columns, invalid write options
+     * @throws Cassandra.ValidationError - the values failed the type checks or column validators
+     * @returns {object} {query: string, params: array, conditional: boolean}
+     */
+    _buildInsertQuery(queryObject, options) {
+        var model = this;
+        if (model.schema.counterTable) {
+            throw new Error(format('Could not insert into counter table, use update '
+                + 'with $incr or $decr instead; columnFamily: %s', model.name));
+        }
+        var conditions = model._buildConditions(options, 'insert');
+        var using = model._buildUsing(options, 'insert');
+        queryObject = model._qualifyColumns(queryObject, 'insert');
+        var columns = Object.keys(queryObject);
+        var coerced = model.schema.coerce(queryObject);
+        model._validate(coerced.values, coerced.errors);
+        queryObject = coerced.values;
+        var fieldSize = columns.length;
+        var marks = new Array(fieldSize).join('?,') + '?';
+        return {
+            query: format(
+                'INSERT INTO %s (%s) VALUES(%s)%s%s',
+                model.cqlName,
+                columns.map((column) => model.schema.identifier(column)).join(', '),
+                marks,
+                conditions.clause,
+                using.clause
+            ),
+            params: columns.map((key) => queryObject[key]).concat(using.values),
+            conditional: conditions.conditional
+        };
+    }
+
+    /**
+     * Builds the UPDATE query of {@link Cassandra.AbstractModel#update}
+     * @param {object} queryObject - an object representing column:value
+     * @param {object} updateObject - an update object
+     * @param {object} options - the write options: if, ifExists, ttl and timestamp
+     * @throws Error - unknown columns, an update not supported by a column, invalid write options
+     * @throws Cassandra.ValidationError - the values failed the type checks or column validators
+     * @returns {object} {query: string, params: array, conditional: boolean}
+     */
+    _buildUpdateQuery(queryObject, updateObject, options) {
+        var model = this;
+        var dataModel = model.schema.model;
+        var queryComponents = model._buildQueryComponents(queryObject);
+        var conditions = model._buildConditions(options, 'update');
+        var using = model._buildUsing(options, 'update');
+        updateObject = model._qualifyColumns(updateObject, 'update');
+        var set = [];
+        var setValues = [];
+        var replaced = {}; //whole values set by the update, these are validated
+        var errors = [];
+        var coerce = (column, value, part) => model._coerceValue(column, value, part, errors);
+        var clusteringKeys = model.primaryKeys.slice(1);
+        var partitionUpdate = clusteringKeys.some((key) => undefined === queryObject[key]);
+        var timestamps = model.schema.timestamps;
+        if (timestamps && timestamps.updatedAt && !partitionUpdate && undefined === updateObject[timestamps.updatedAt]) {
+            updateObject = Object.assign({}, updateObject);
+            updateObject[timestamps.updatedAt] = new Date();
+        }
+        //without the clustering keys the whole partition is updated, which only works for static columns
+        if (partitionUpdate) {
+            for (let column in updateObject) {
+                if (!model.schema.staticColumns[column]) {
+                    throw new Error(format('Could not update, only static columns can be '
+                        + 'updated without the clustering keys; column: %s, model: %s', column, model.name));
+                }
+            }
+        }
+        for (let column in updateObject) {
+            let typeMapping = TypeMap[dataModel[column]];
+            let value = updateObject[column];
+            let identifier = model.schema.identifier(column);
+            if (typeMapping === TypeMap.counter) {
+                let action = value && Object.keys(value)[0];
+                if (action !== '$incr' && action !== '$decr') {
+                    throw new Error(format('Could not update counter column, counters can only '
+                        + 'be updated with $incr or $decr; column: %s', column));
+                }
+                set.push(identifier + ' = ' + identifier + (action === '$incr' ? ' + ?' : ' - ?'));
+                setValues.push(coerce(column, value[action]));
+                continue;
+            }
+            //is this a special operator character for set,list
+            if (typeMapping < TypeMap.map && !Array.isArray(value)) {
+                for (let action in value) {
+                    if (action === '$append' || action === '$add') {
+                        set.push(identifier + ' = ' + identifier + ' + ?');
+                        setValues.push(coerce(column, value[action]));
+                    } else if (action === '$prepend') {
+                        set.push(identifier + ' = ? + ' + identifier);
+                        setValues.push(coerce(column, value[action]));
+                    } else if (action === '$filter') {
+                        set.push(identifier + ' = ' + identifier + ' - ?');
+                        setValues.push(coerce(column, value[action]));
+                    } else if (action === '$set') {
+                        let obj = value[action];
+                        for (let index in obj) {
+                            set.push(identifier + '[' + index + ']' + ' = ?');
+                            setValues.push(coerce(column, obj[index], 'element'));
+                        }
+                    }
+                }
+            } else if (typeMapping === TypeMap.frozen) {
+                let action = ['$append', '$add', '$prepend', '$filter'].filter((action) => {
+                        return value && undefined !== value[action];
+                    })[0];
+                if (action) {
+                    throw new Error(format('Could not update frozen column, frozen values can '
+                        + 'only be replaced as a whole; column: %s, operator: %s', column, action));
+                }
+                replaced[column] = coerce(column, value && value.$set && !Array.isArray(value) ? value.$set : value);
+                set.push(identifier + '=?');
+                setValues.push(replaced[column]);
+            } else if (typeMapping === TypeMap.map) {
+                //reset the entire map object to the $set object
+                if (value.$set) {
+                    replaced[column] = coerce(column, value.$set);
+                    set.push(identifier + '=?');
+                    setValues.push(replaced[column]);
+                } else {
+                    //[setKey: setValue] = value[action];
+                    for (let setKey in value) {
+                        set.push(identifier + '[?] = ?');
+                        setValues.push(coerce(column, setKey, 'key'), coerce(column, value[setKey], 'element'));
+                    }
+                }
+            } else {
+                //plain value, assume set
+                replaced[column] = coerce(column, updateObject[column]);
+                set.push(identifier + '=?');
+                setValues.push(replaced[column]);
+            }
+        }
+        model._validate(replaced, errors);
+        return {
+            query: format(
+                'UPDATE %s%s SET %s WHERE %s%s',
+                model.cqlName,
+                using.clause,
+                set.join(', '),
+                queryComponents.where,
+                conditions.clause
+            ),
+            params: using.values.concat(setValues, queryComponents.values, conditions.values),
+            conditional: conditions.conditional
+        };
+    }
+
+    /**
+     * Builds the DELETE query of {@link Cassandra.AbstractModel#delete}
+     * @param {object} queryObject - an object representing column:value
+     * @param {object} deleteObject - the columns to delete
+     * @param {object} options - the write options: if, ifExists and timestamp
+     * @throws Error - unknown columns, invalid write options
+     * @returns {object} {query: string, params: array, conditional: boolean}
+     */
+    _buildDeleteQuery(queryObject, deleteObject, options) {
+        var model = this;
+        var dataModel = model.schema.model;
+        var queryComponents = model._buildQueryComponents(queryObject);
+        var conditions = model._buildConditions(options, 'delete');
+        var using = model._buildUsing(options, 'delete');
+        var unset = [];
+        if (deleteObject) {
+            deleteObject = model._qualifyColumns(deleteObject, 'delete');
+        }
+        var unsetValues = [];
+        for (let column in deleteObject) {
+            let type = dataModel[column];
+            let typeMapping = TypeMap[type];
+            //is this a special operator eg: $usingTimestamp, in which case
+            //it won't have a type mapping
+            if (!type) {
+                continue;
+            }
+            let value = deleteObject[column];
+            let identifier = model.schema.identifier(column);
+            //check if list type is an object with $pull operator
+            if (typeMapping === TypeMap.list && Array.isArray(value)) {
+                unset.push(value.map((index) => identifier + '[' + index + ']'));
+            } else if (typeMapping === TypeMap.map && Array.isArray(value)) {
+                unset.push(value.map((index) => {
+                    unsetValues.push(index);
+                    return identifier + '[?]';
+                }));
+            } else {
+                unset.push(identifier);
+            }
+        }
+        var query = 'DELETE ' + (unset.length ? unset + ' ' : '')
+            + 'FROM ' + model.cqlName;
+        if (using.clause) {
+            query += using.clause;
+        } else if (deleteObject) {
+            if (deleteObject.$usingTimestamp) {
+                query += ' USING TIMESTAMP ' + deleteObject.$usingTimestamp;
+            }
+        }
+        query += ' WHERE ' + queryComponents.where + conditions.clause;
+        return {
+            query: query,
+            params: unsetValues.concat(using.values, queryComponents.values, conditions.values),
+            conditional: conditions.conditional
+        };
+    }
 }
 
 
@@ -206,31 +894,47 @@ class AbstractModel {
     /**
      * Insert items into the model's column family
      * @param {object} queryObject - an object representing column:value
-     * @param {function} callback - receives err, result
+     * @param {object} options - ifNotExists: only insert the row if it does not exist,
+     * ttl: the seconds until the values expire, timestamp: the write time in microseconds or as a Date
+     * @param {function} callback - receives err, result, or {applied, current} with "ifNotExists". The err
+     * is also an Error of a counter table, unknown columns or invalid options, or a Cassandra.ValidationError
+     * of values that failed the type checks or column validators
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * cassandra.insert({name: 'foo', age: 30}, {ifNotExists: true}, (err, result) => console.log(err, result));
+     * // INSERT INTO <table> (name, age) VALUES(?,?) IF NOT EXISTS
+     * // result: {applied: false, current: {name: 'foo', age: 29}}
+     * cassandra.insert({name: 'foo', age: 30}, {ttl: 86400, timestamp: new Date()}, callback);
+     * // INSERT INTO <table> (name, age) VALUES(?,?) USING TTL ? AND TIMESTAMP ?
      */
-    insert(queryObject, callback) {
+    insert(queryObject, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
         var model = this;
-        var cassandra = model.db;
-        var columns = model._qualifyQueryColumns(queryObject);
-        var fieldSize = columns.length;
-        var values = columns.map((key) => queryObject[key]);
-        var marks = new Array(fieldSize).join('?,') + '?';
-        var query = format(
-                'INSERT INTO %s.%s (%s) VALUES(%s)',
-                cassandra.keyspace,
-                model.name,
-                columns.join(', '),
-                marks
-            );
-        cassandra.driver.execute(query, values, {prepare: true}, callback);
+        return callbackOrPromise(callback, (callback) => {
+            var built;
+            try {
+                built = model._buildInsertQuery(queryObject, options);
+            } catch (err) {
+                return callback(err);
+            }
+            model._executeConditional('insert', built, callback);
+        });
     }
 
     /**
      * Find items in the model's column family
      * @param {object} queryObject - an object representing column:value
      * @param {array} projection - projection for selecting a subset of columns in select statements
-     * @param {object} options - options for controlling your select statements
+     * @param {object} options - options for controlling your select statements: limit, allowFiltering,
+     * raw, stream, eachRow, autoPage, fetchSize, and orderBy, perPartitionLimit, distinct and groupBy,
+     * which are checked against the primary keys
      * @param {function} callback - receives err, result
+     * @returns {Promise|Stream|undefined} a Promise if no callback is passed, or a readable
+     * stream of the rows when using the "stream" option. Rows are mapped back to the schema's
+     * column names, as model instances or plain objects with the "raw" option
      * @example
      * var projection = ['name']; //default "*"
      * var options = {
@@ -245,91 +949,81 @@ class AbstractModel {
      * };
      * cassandra.find(query, projection, options, (err, result) => console.log(err, result));
      * // SELECT name FROM <table> WHERE name = 'foo' AND age > 30 LIMIT 1 ALLOW FILTERING
+     * var rows = await cassandra.find(query, projection, options);
+     * @example <caption>Clustering order, limits per partition, distinct partitions and groups</caption>
+     * //schema: {tenant: 'text', user: 'text', age: 'int'}, {primaryKeys: ['tenant', 'user']}
+     * TestModel.find({tenant: 'foo'}, {orderBy: {user: 'desc'}, perPartitionLimit: 2}, callback);
+     * // SELECT * FROM <table> WHERE tenant=? ORDER BY user desc PER PARTITION LIMIT 2
+     * TestModel.find({}, {distinct: true}, callback);
+     * // SELECT DISTINCT tenant FROM <table>
+     * TestModel.find({}, ['tenant', 'max(age) AS oldest'], {groupBy: ['tenant'], raw: true}, callback);
+     * // SELECT tenant, max(age) AS oldest FROM <table> GROUP BY tenant
      */
     find(queryObject, projection, options, callback) {
-        var argc = getArgCount(arguments);
-        if (argc === 3) {
-            callback = options;
-            //if projection is an object then it's the options object
-            if (!Array.isArray(projection)) {
-                options = projection;
-                projection = null;
-            }
-        } else if (argc === 2) {
-            callback = projection;
-            projection = null;
-        } else if (argc === 1) {
-            callback = queryObject;
-            queryObject = null;
-        }
-        if (typeof callback !== 'function') {
-            throw new Error('Callback must be a function!');
-        }
-        var findOne = false;
+        var parsed = parseFindArgs(arguments);
+        queryObject = parsed.queryObject;
+        projection = parsed.projection;
+        options = parsed.options;
+        callback = parsed.callback;
         var model = this;
-        var raw = false;
+        var raw = !!(options && options.raw);
         var Factory = model.Factory;
-        var queryComponents = model._buildQueryComponents(queryObject);
         var cassandra = model.db;
-        var query;
-        if (queryComponents.where.length > 0) {
-            query = format(
-                'SELECT %s FROM %s.%s WHERE %s',
-                projection ? projection.join(', ') : '*',
-                cassandra.keyspace,
-                model.qualifiedName,
-                queryComponents.where
-            );
-        } else {
-            query = format(
-                'SELECT %s FROM %s.%s',
-                projection ? projection.join(', ') : '*',
-                cassandra.keyspace,
-                model.qualifiedName
-            );
+        var schema = model.schema;
+        var built;
+        try {
+            built = model._buildFindQuery(queryObject, projection, options);
+        } catch (err) {
+            //streams are returned right away, everything else reports the error
+            if (options && options.stream) {
+                throw err;
+            }
+            return callbackOrPromise(callback, (callback) => callback(err));
         }
-        let processResult;
+        var query = built.query;
+        var params = built.params;
+        projection = built.projection;
         //this may seem like overkill, but we want to separate
         //as much logic out of the iterator as possible when
         //using the eachRow method
-        let dataMap = model.schema.dataMap;
-        let mappedDataPrototype = model.schema.mappedDataPrototype;
+        let dataMap = schema.dataMap;
+        let mappedDataPrototype = schema.mappedDataPrototype;
+        //rows are keyed by the database names of the columns
         let rowKeys;
         if (projection) {
-            rowKeys = projection;
+            //selectors such as aggregates are keyed by their alias
+            rowKeys = projection.map((field) => {
+                let alias = selectorAlias.exec(field);
+                return alias ? alias[1] : schema.columnMap[field] || field;
+            });
         } else {
-            rowKeys = model.schema.columnIndex;
+            rowKeys = schema.columnIndex;
         }
-        if (options) {
-            if (options.__$$findOne) {
-                findOne = true;
-            }
-            if (options.limit) {
-                query += ' LIMIT ' + options.limit;
-            }
-            if (options.allowFiltering) {
-                query += ' ALLOW FILTERING';
-            }
-            if (options.raw) {
-                raw = !!options.raw;
-            }
-            if (options.stream) {
-                return cassandra.driver.stream(query, queryComponents.values);
-            }
-            if (options.eachRow) {
-                processResult = (err, result, n) => {
-                    if (!raw) {
-                        //create object, bypass defaults/required
-                        result = new Factory(result, true);
-                    } else {
-                        let proto = Object.create(mappedDataPrototype);
-                        for (let key of rowKeys) {
-                            proto[dataMap[key]] = result[key];
-                        }
-                        result = proto;
-                    }
-                    return options.eachRow(n, result);
-                };
+        //maps a row to a model instance, or an object of column:values when raw
+        let mapRow = (row) => {
+                if (!raw) {
+                    //create object, bypass defaults/required
+                    return new Factory(row, true);
+                }
+                let proto = Object.create(mappedDataPrototype);
+                for (let key of rowKeys) {
+                    proto[dataMap[key] || key] = row[key];
+                }
+                return proto;
+            };
+        if (options && options.stream) {
+            let stream = new Transform({
+                    objectMode: true,
+                    transform: (row, encoding, next) => next(null, mapRow(row))
+                });
+            //errors are not piped
+            cassandra.driver.stream(query, params, {prepare: true})
+                .on('error', (err) => stream.emit('error', err))
+                .pipe(stream);
+            return stream;
+        }
+        return callbackOrPromise(callback, (callback) => {
+            if (options && options.eachRow) {
                 let pagingOptions = {
                     prepare: true
                 };
@@ -341,50 +1035,43 @@ class AbstractModel {
                 }
                 cassandra.driver.eachRow(
                     query,
-                    queryComponents.values,
+                    params,
                     pagingOptions,
-                    (n, row) => processResult(null, row, n), //functions to lose Cassandra context
+                    (n, row) => options.eachRow(n, mapRow(row)), //functions to lose Cassandra context
                     (err, result) => callback(err, result)
                 );
                 return;
             }
-        }
-        if (!options || !options.eachRow) {
-            processResult = (err, result) => {
+            cassandra.driver.execute(query, params, {prepare: true}, (err, result) => {
                 if (err) {
                     return callback(err);
                 }
                 let resultLength = result.rowLength;
                 if (!resultLength) {
                     result = null;
-                } else if (!raw) {
-                    result = result.rows;
-                    for (let i = 0; i < resultLength; i++) {
-                        //create object, bypass defaults/required
-                        result[i] = new Factory(result[i], true);
-                    }
                 } else {
                     result = result.rows;
                     for (let i = 0; i < resultLength; i++) {
-                        let row = result[i];
-                        let proto = Object.create(mappedDataPrototype);
-                        for (let key of rowKeys) {
-                            proto[dataMap[key]] = row[key];
-                        }
-                        result[i] = proto;
+                        result[i] = mapRow(result[i]);
                     }
                 }
                 callback(null, result);
-            };
-        }
-        cassandra.driver.execute(query, queryComponents.values, {prepare: true}, processResult);
+            });
+        });
     }
 
     /**
-     * Update items in the model's column family
+     * Update items in the model's column family. With the schema option "timestamps", the
+     * updatedAt column is set unless it's in the updateObject or a whole partition is updated
      * @param {object} queryObject - an object representing column:value
      * @param {object} updateObject - an update object that uses $gt, $gte, $lt, $lte, $eq, $in, $contains, $containsKey
-     * @param {function} callback - receives err, result
+     * @param {object} options - ifExists: only update an existing row, if: only update the row if
+     * it matches the column:values, which use the same operators as the queryObject, ttl and timestamp,
+     * see {@link Cassandra.AbstractModel#insert}
+     * @param {function} callback - receives err, result, or {applied, current} with "if" or "ifExists". The err
+     * is also an Error of unknown columns or invalid options, or a Cassandra.ValidationError of values that failed
+     * the type checks, or of values replaced by the update that failed the column validators
+     * @returns {Promise|undefined} a Promise if no callback is passed
      * @example
      * var query = {
      *   name: 'foo',
@@ -397,70 +1084,45 @@ class AbstractModel {
      * };
      * cassandra.find(query, projection, options, (err, result) => console.log(err, result));
      * // UPDATE <table> SET name='bar' WHERE name = 'foo' AND age IN (29, 30, 31)
+     * @example <caption>Static columns can be updated with only the partition keys</caption>
+     * //schema: {tenant: 'text', user: 'text', plan: {type: 'text', static: true}}, {primaryKeys: ['tenant', 'user']}
+     * TestModel.update({tenant: 'foo'}, {plan: 'pro'}, callback);
+     * // UPDATE <table> SET plan=? WHERE tenant=?
+     * @example <caption>Counters can only be incremented or decremented</caption>
+     * PageViews.update({page: 'home'}, {views: {$incr: 1}, errors: {$decr: 2}}, callback);
+     * // UPDATE <table> SET views = views + ?, errors = errors - ? WHERE page=?
+     * @example <caption>Compare and set with a lightweight transaction</caption>
+     * TestModel.update({name: 'foo'}, {age: 31}, {if: {age: 30}}, (err, result) => console.log(err, result));
+     * // UPDATE <table> SET age=? WHERE name=? IF age=?
+     * // result: {applied: false, current: {age: 29}}
      */
-    update(queryObject, updateObject, callback) {
+    update(queryObject, updateObject, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
         var model = this;
-        var cassandra = model.db;
-        var dataModel = model.schema.model;
-        var queryComponents = model._buildQueryComponents(queryObject);
-        var set = [];
-        var setValues = [];
-        for (let column in updateObject) {
-            let typeMapping = TypeMap[dataModel[column]];
-            let value = updateObject[column];
-            //is this a special operator character for set,list
-            if (typeMapping < TypeMap.map && !Array.isArray(value)) {
-                for (let action in value) {
-                    if (action === '$append' || action === '$add') {
-                        set.push(column + ' = ' + column + ' + ?');
-                        setValues.push(value[action]);
-                    } else if (action === '$prepend') {
-                        set.push(column + ' = ? + ' + column);
-                        setValues.push(value[action]);
-                    } else if (action === '$filter') {
-                        set.push(column + ' = ' + column + ' - ?');
-                        setValues.push(value[action]);
-                    } else if (action === '$set') {
-                        let obj = value[action];
-                        for (let index in obj) {
-                            set.push(column + '[' + index + ']' + ' = ?');
-                            setValues.push(obj[index]);
-                        }
-                    }
-                }
-            } else if (typeMapping === TypeMap.map) {
-                //reset the entire map object to the $set object
-                if (value.$set) {
-                    set.push(column + '=?');
-                    setValues.push(updateObject[column].$set);
-                } else {
-                    //[setKey: setValue] = value[action];
-                    for (let setKey in value) {
-                        set.push(column + '[?] = ?');
-                        setValues.push(setKey, value[setKey]);
-                    }
-                }
-            } else {
-                //plain value, assume set
-                set.push(column + '=?');
-                setValues.push(updateObject[column]);
+        return callbackOrPromise(callback, (callback) => {
+            var built;
+            try {
+                built = model._buildUpdateQuery(queryObject, updateObject, options);
+            } catch (err) {
+                return callback(err);
             }
-        }
-        var query = format(
-                'UPDATE %s.%s SET %s WHERE %s',
-                cassandra.keyspace,
-                model.name,
-                set,
-                queryComponents.where
-            );
-        cassandra.driver.execute(query, setValues.concat(queryComponents.values), {prepare: true}, callback);
+            model._executeConditional('update', built, callback);
+        });
     }
 
     /**
      * Delete columns or rows in the model's column family
      * @param {object} queryObject - an object representing column:value
-     * @param {array} deleteObject - deleteObject for selecting a subset of columns in select statements
-     * @param {function} callback - receives err, result
+     * @param {array|object} deleteObject - the columns to delete, as a list or as column:true, or column:[indexes]
+     * of list columns and column:[keys] of map columns to delete their elements
+     * @param {object} options - ifExists, if or timestamp, see {@link Cassandra.AbstractModel#update},
+     * may be passed in place of the deleteObject
+     * @param {function} callback - receives err, result, or {applied, current} with "if" or "ifExists". The err
+     * is also an Error of unknown columns or invalid options
+     * @returns {Promise|undefined} a Promise if no callback is passed
      * @example
      * var deleteObject = ['name']; //default "*"
      * var deleteObject = {
@@ -474,80 +1136,151 @@ class AbstractModel {
      * };
      * cassandra.delete(query, deleteObject, (err, result) => console.log(err, result));
      * // DELETE name FROM <table> WHERE name = 'foo' AND age > 30
+     * cassandra.delete({name: 'foo'}, {ifExists: true}, (err, result) => console.log(err, result.applied));
+     * // DELETE FROM <table> WHERE name=? IF EXISTS
      */
-    delete(queryObject, deleteObject, callback) {
-        var argc = getArgCount(arguments);
-        if (argc === 2) {
+    delete(queryObject, deleteObject, options, callback) {
+        var model = this;
+        if (typeof deleteObject === 'function') {
             callback = deleteObject;
             deleteObject = null;
+        } else if (typeof options === 'function') {
+            callback = options;
+            options = null;
         }
-        if (typeof callback !== 'function') {
-            throw new Error('Callback must be a function!');
+        //delete(queryObject, options) when the object only holds write options
+        if (!options && model._isWriteOptions(deleteObject)) {
+            options = deleteObject;
+            deleteObject = null;
         }
-        var model = this;
-        var dataModel = model.schema.model;
-        var queryComponents = model._buildQueryComponents(queryObject);
-        var cassandra = model.db;
-        var unset = [];
-        var unsetValues = [];
-        for (let column in deleteObject) {
-            let type = dataModel[column];
-            let typeMapping = TypeMap[type];
-            //is this a special operator eg: $usingTimestamp, in which case
-            //it won't have a type mapping
-            if (!type) {
-                continue;
-            }
-            let value = deleteObject[column];
-            //check if list type is an object with $pull operator
-            if (typeMapping === TypeMap.list && Array.isArray(value)) {
-                unset.push(value.map((index) => column + '[' + index + ']'));
-            } else if (typeMapping === TypeMap.map && Array.isArray(value)) {
-                unset.push(value.map((index) => {
-                    unsetValues.push(index);
-                    return column + '[?]';
-                }));
-            } else {
-                unset.push(column);
-            }
+        if (Array.isArray(deleteObject)) {
+            deleteObject = toDeleteObject(deleteObject);
         }
-        var query = 'DELETE ' + (unset.length ? unset + ' ' : '')
-            + 'FROM ' + cassandra.keyspace + '.' + model.name;
-        if (deleteObject) {
-            if (deleteObject.$usingTimestamp) {
-                query += ' USING TIMESTAMP ' + deleteObject.$usingTimestamp;
+        return callbackOrPromise(callback, (callback) => {
+            var built;
+            try {
+                built = model._buildDeleteQuery(queryObject, deleteObject, options);
+            } catch (err) {
+                return callback(err);
             }
-        }
-        query += ' WHERE ' + queryComponents.where;
-        cassandra.driver.execute(query, unsetValues.concat(queryComponents.values), {prepare: true}, callback);
+            model._executeConditional('delete', built, callback);
+        });
     }
 
     /**
      * Same as {@link Cassandra.Model.find} except forces a limit of 1
      * and always returns null or a row object
+     * @returns {Promise|undefined} a Promise if no callback is passed
      */
     findOne(queryObject, projection, options, callback) {
-        var argc = getArgCount(arguments);
-        if (argc === 3) {
-            callback = options;
-            //if projection is an object then it's the options object
-            if (!Array.isArray(projection)) {
-                options = projection;
-                projection = null;
-            }
-        } else if (argc === 2) {
-            callback = projection;
-            projection = null;
-        }
+        var parsed = parseFindArgs(arguments);
+        var model = this;
+        queryObject = parsed.queryObject;
+        projection = parsed.projection;
+        options = parsed.options;
+        callback = parsed.callback;
         options = options || {};
         options.limit = 1;
         options.__$$findOne = true;
-        AbstractModel.prototype.find.apply(this, [queryObject, projection, options, (err, result) => {
-            if (Array.isArray(result)) {
-                result = result.shift();
+        return callbackOrPromise(callback, (callback) => {
+            AbstractModel.prototype.find.call(model, queryObject, projection, options, (err, result) => {
+                if (Array.isArray(result)) {
+                    result = result.shift();
+                }
+                callback(err, result);
+            });
+        });
+    }
+
+    /**
+     * Count the rows matching the queryObject with SELECT count(*)
+     * @param {object} queryObject - an object representing column:value
+     * @param {object} options - allowFiltering
+     * @param {function} callback - receives err, count
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * TestModel.count({name: 'foo'}, (err, count) => console.log(err, count));
+     * // SELECT count(*) AS count_0 FROM <table> WHERE name=?
+     */
+    count(queryObject, options, callback) {
+        var parsed = getCallbackArgs(arguments);
+        var model = this;
+        return callbackOrPromise(parsed.callback, (callback) => {
+            AbstractModel.prototype.aggregate.call(model, parsed.args[0], {count: '*'}, parsed.args[1], (err, result) => {
+                callback(err, result && result.count);
+            });
+        });
+    }
+
+    /**
+     * Compute the count, min, max, sum or avg of columns of the rows matching the queryObject,
+     * numbers are returned as numbers rather than Long or BigDecimal values
+     * @param {object} queryObject - an object representing column:value
+     * @param {object} aggregates - function:column, or function:[columns]
+     * @param {object} options - allowFiltering
+     * @param {function} callback - receives err, result keyed the same as the aggregates
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     * @example
+     * TestModel.aggregate({name: 'foo'}, {max: 'age', sum: ['age', 'visits']}, (err, result) => console.log(err, result));
+     * // SELECT max(age) AS max_0, sum(age) AS sum_1, sum(visits) AS sum_2 FROM <table> WHERE name=?
+     * // result: {max: 40, sum: {age: 70, visits: 12}}
+     */
+    aggregate(queryObject, aggregates, options, callback) {
+        var parsed = getCallbackArgs(arguments);
+        var model = this;
+        var schema = model.schema;
+        var selected = [];
+        queryObject = parsed.args[0];
+        aggregates = parsed.args[1] || {};
+        options = parsed.args[2] || {};
+        callback = parsed.callback;
+        for (let fn in aggregates) {
+            let columns = [].concat(aggregates[fn]);
+            for (let column of columns) {
+                let error;
+                if (!aggregateFunctions[fn]) {
+                    error = format('Invalid aggregate, not supported: %s; model: %s', fn, model.name);
+                } else if (!(fn === 'count' && column === '*') && !schema.model[column]) {
+                    error = format('Invalid aggregate, could not find column: %s; model: %s', column, model.name);
+                } else if ((fn === 'sum' || fn === 'avg') && !numericTypes[schema.model[column]]) {
+                    error = format('Invalid aggregate, %s expects a numeric column; column: %s, model: %s', fn, column, model.name);
+                }
+                if (error) {
+                    return callbackOrPromise(callback, (callback) => callback(new Error(error)));
+                }
+                selected.push({
+                    fn: fn,
+                    column: Array.isArray(aggregates[fn]) ? column : null,
+                    alias: fn + '_' + selected.length,
+                    selector: format('%s(%s) AS %s_%d', fn, column === '*' ? column : schema.identifier(column), fn, selected.length)
+                });
             }
-            callback(err, result);
-        }].filter(Boolean));
+        }
+        var projection = selected.map((aggregate) => aggregate.selector);
+        var findOptions = {
+                raw: true,
+                allowFiltering: options.allowFiltering
+            };
+        return callbackOrPromise(callback, (callback) => {
+            AbstractModel.prototype.find.call(model, queryObject, projection, findOptions, (err, rows) => {
+                if (err) {
+                    return callback(err);
+                }
+                var row = rows && rows[0];
+                var result = {};
+                for (let aggregate of selected) {
+                    let value = row ? row[aggregate.alias] : null;
+                    value = value && typeof value.toNumber === 'function' ? value.toNumber() : value;
+                    if (aggregate.column) {
+                        result[aggregate.fn] = result[aggregate.fn] || {};
+                        result[aggregate.fn][aggregate.column] = value;
+                    } else {
+                        result[aggregate.fn] = value;
+                    }
+                }
+                callback(null, result);
+            });
+        });
     }
 
 }
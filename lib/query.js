@@ -0,0 +1,288 @@
+/**
+ * Vertebrae Inc
+ * @package Cassandra-ORM
+ * @exports Query
+ */
+"use strict";
+
+const Cassandra = require('./cassandra');
+const format = require('util').format;
+const toDeleteObject = require('./utils').toDeleteObject;
+
+//operator objects of the same column are merged, eg: {$gt: 1} and {$lt: 5}
+const isOperators = (value) => {
+    return value && value.constructor === Object && Object.keys(value).every((key) => key[0] === '$');
+};
+
+/**
+ * A chainable SELECT, UPDATE or DELETE query of a model's table or materialized view, built with
+ * the same query objects as {@link Cassandra.AbstractModel#find}, {@link Cassandra.AbstractModel#update}
+ * and {@link Cassandra.AbstractModel#delete}, which run it. Start one with Model.query()
+ * @memberof Cassandra
+ * @param {Cassandra.Model} model - the table or materialized view to query
+ * @example
+ * UserModel.query()
+ *   .where({name: 'foo', age: {$gt: 30}})
+ *   .select(['name', 'age'])
+ *   .limit(10)
+ *   .allowFiltering()
+ *   .exec((err, rows) => console.log(err, rows));
+ * // SELECT name, age FROM <table> WHERE name=? AND age>? LIMIT 10 ALLOW FILTERING
+ * UserModel.query().where({name: 'foo'}).update({age: 31}).toCQL();
+ * // UPDATE <table> SET age=? WHERE name=?
+ */
+class Query {
+
+    constructor(model) {
+        var query = this;
+        query.model = model;
+        query.action = 'select';
+        query.queryObject = {};
+        query.projection = null;
+        query.options = {};
+        query.updateObject = null;
+        query.deleteObject = null;
+        query.writeOptions = {};
+    }
+
+    /**
+     * Adds conditions to the WHERE clause, conditions on a column replace its previous ones
+     * unless both are operator objects, which are merged
+     * @param {object} queryObject - an object representing column:value
+     * @returns {Cassandra.Query} query
+     * @example
+     * query.where({age: {$gt: 30}}).where({age: {$lt: 40}});
+     * // WHERE age>? AND age<?
+     */
+    where(queryObject) {
+        var query = this;
+        for (let column in queryObject) {
+            let value = queryObject[column];
+            let existing = query.queryObject[column];
+            query.queryObject[column] = isOperators(existing) && isOperators(value)
+                ? Object.assign({}, existing, value)
+                : value;
+        }
+        return query;
+    }
+
+    /**
+     * Sets the columns to select, default "*"
+     * @param {array|...string} columns - the columns, or CQL expressions such as functions
+     * @returns {Cassandra.Query} query
+     */
+    select(columns) {
+        var query = this;
+        query.projection = Array.isArray(columns) ? columns.slice() : Array.prototype.slice.call(arguments);
+        return query;
+    }
+
+    /**
+     * Orders the selected rows by clustering columns
+     * @param {object} orderBy - column:direction, eg: {created: 'desc'}
+     * @returns {Cassandra.Query} query
+     */
+    orderBy(orderBy) {
+        var query = this;
+        query.options.orderBy = Object.assign({}, query.options.orderBy, orderBy);
+        return query;
+    }
+
+    /**
+     * Limits the number of selected rows
+     * @param {number} limit - the maximum number of rows
+     * @returns {Cassandra.Query} query
+     */
+    limit(limit) {
+        this.options.limit = limit;
+        return this;
+    }
+
+    /**
+     * Limits the number of rows selected of each partition
+     * @param {number} limit - the maximum number of rows per partition
+     * @returns {Cassandra.Query} query
+     */
+    perPartitionLimit(limit) {
+        this.options.perPartitionLimit = limit;
+        return this;
+    }
+
+    /**
+     * Selects the distinct partitions, by their partition keys unless other columns are selected
+     * @param {boolean} distinct - default true
+     * @returns {Cassandra.Query} query
+     */
+    distinct(distinct) {
+        this.options.distinct = false !== distinct;
+        return this;
+    }
+
+    /**
+     * Groups the selected rows by primary keys, selected aggregates are computed per group
+     * @param {array|...string} columns - the primary keys in their order
+     * @returns {Cassandra.Query} query
+     * @example
+     * query.select(['tenant', 'count(*) AS users']).groupBy('tenant');
+     */
+    groupBy(columns) {
+        this.options.groupBy = Array.isArray(columns) ? columns.slice() : Array.prototype.slice.call(arguments);
+        return this;
+    }
+
+    /**
+     * Allows filtering by columns that are not part of the primary key or indexed
+     * @param {boolean} allow - default true
+     * @returns {Cassandra.Query} query
+     */
+    allowFiltering(allow) {
+        this.options.allowFiltering = false !== allow;
+        return this;
+    }
+
+    /**
+     * Selects the rows as objects of column:value instead of model instances
+     * @param {boolean} raw - default true
+     * @returns {Cassandra.Query} query
+     */
+    raw(raw) {
+        this.options.raw = false !== raw;
+        return this;
+    }
+
+    /**
+     * Turns the query into an UPDATE of the rows matching the WHERE clause
+     * @param {object} updateObject - an update object, see {@link Cassandra.AbstractModel#update}
+     * @throws Error - materialized views can't be updated
+     * @returns {Cassandra.Query} query
+     */
+    update(updateObject) {
+        var query = this;
+        query._writable('update');
+        query.action = 'update';
+        query.updateObject = Object.assign({}, query.updateObject, updateObject);
+        return query;
+    }
+
+    /**
+     * Turns the query into a DELETE of the rows matching the WHERE clause, or of some of their columns
+     * @param {array|object} columns - the columns to delete, or a delete object, see {@link Cassandra.AbstractModel#delete}
+     * @throws Error - materialized views can't be deleted from
+     * @returns {Cassandra.Query} query
+     */
+    delete(columns) {
+        var query = this;
+        query._writable('delete');
+        query.action = 'delete';
+        query.deleteObject = Array.isArray(columns) ? toDeleteObject(columns) : columns || null;
+        return query;
+    }
+
+    /**
+     * Makes the UPDATE or DELETE a lightweight transaction that only applies if the row
+     * matches the conditions, conditions on a column replace its previous ones
+     * @param {object} conditions - column:value, with the same operators as {@link Cassandra.Query#where}
+     * @returns {Cassandra.Query} query
+     * @example
+     * query.where({name: 'foo'}).update({age: 31}).if({age: 30});
+     * // UPDATE <table> SET age=? WHERE name=? IF age=?
+     */
+    if(conditions) {
+        var query = this;
+        query.writeOptions.if = Object.assign({}, query.writeOptions.if, conditions);
+        return query;
+    }
+
+    /**
+     * Makes the UPDATE or DELETE a lightweight transaction that only applies if the row exists
+     * @param {boolean} ifExists - default true
+     * @returns {Cassandra.Query} query
+     */
+    ifExists(ifExists) {
+        this.writeOptions.ifExists = false !== ifExists;
+        return this;
+    }
+
+    /**
+     * Sets the seconds until the values written by the UPDATE expire
+     * @param {number} ttl - seconds, 0 for values that don't expire
+     * @returns {Cassandra.Query} query
+     */
+    ttl(ttl) {
+        this.writeOptions.ttl = ttl;
+        return this;
+    }
+
+    /**
+     * Sets the write time of the UPDATE or DELETE
+     * @param {number|Long|Date} timestamp - microseconds, or a Date
+     * @returns {Cassandra.Query} query
+     */
+    timestamp(timestamp) {
+        this.writeOptions.timestamp = timestamp;
+        return this;
+    }
+
+    _writable(action) {
+        var model = this.model;
+        if (model instanceof Cassandra.Model.MaterializedView) {
+            throw new Error(format('Could not %s, materialized views are read only; view: %s', action, model.name));
+        }
+    }
+
+    /**
+     * Builds the query as it's executed
+     * @throws Error - unknown columns
+     * @throws Cassandra.ValidationError - the values failed the type checks or column validators
+     * @returns {object} {query: string, params: array}
+     */
+    build() {
+        var query = this;
+        var model = query.model;
+        if (query.action === 'update') {
+            return model._buildUpdateQuery(query.queryObject, query.updateObject, query.writeOptions);
+        }
+        if (query.action === 'delete') {
+            return model._buildDeleteQuery(query.queryObject, query.deleteObject, query.writeOptions);
+        }
+        return model._buildFindQuery(query.queryObject, query.projection, query.options);
+    }
+
+    /**
+     * Get the CQL of the query, with ? in place of its parameters, see {@link Cassandra.Query#build}
+     * @returns {string} CQL
+     */
+    toCQL() {
+        return this.build().query;
+    }
+
+    /**
+     * Runs the query with {@link Cassandra.AbstractModel#find}, {@link Cassandra.AbstractModel#update}
+     * or {@link Cassandra.AbstractModel#delete}
+     * @param {function} callback - receives err, result
+     * @returns {Promise|undefined} a Promise if no callback is passed
+     */
+    exec(callback) {
+        var query = this;
+        var model = query.model;
+        if (query.action === 'update') {
+            return model.update(query.queryObject, query.updateObject, Object.assign({}, query.writeOptions), callback);
+        }
+        if (query.action === 'delete') {
+            return model.delete(query.queryObject, query.deleteObject, Object.assign({}, query.writeOptions), callback);
+        }
+        return model.find(query.queryObject, query.projection, Object.assign({}, query.options), callback);
+    }
+
+    /**
+     * Runs the SELECT query as a readable stream of rows, see the "stream" option of {@link Cassandra.AbstractModel#find}
+     * @returns {Stream} stream
+     */
+    stream() {
+        var query = this;
+        return query.model.find(query.queryObject, query.projection, Object.assign({stream: true}, query.options));
+    }
+
+}
+
+module.exports = Query;
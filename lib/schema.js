@@ -6,9 +6,261 @@
  */
 "use strict";
 
-const types = require('./cassandra').types;
+const Cassandra = require('./cassandra');
+const coerce = require('./coercion');
+const runHooks = require('./utils').runHooks;
+const types = Cassandra.types;
 const dataTypes = types.dataTypes;
 const format = require('util').format;
+const identifier = /^[A-Za-z_$][\w$]*$/;
+//CQL identifiers that can be used without quotes, anything else is quoted
+const unquoted = /^[a-z][a-z0-9_]*$/;
+const reservedWords = ['add', 'allow', 'alter', 'and', 'apply', 'asc', 'authorize', 'batch', 'begin', 'by',
+    'columnfamily', 'create', 'delete', 'desc', 'describe', 'drop', 'entries', 'execute', 'from', 'full',
+    'grant', 'if', 'in', 'index', 'infinity', 'insert', 'into', 'is', 'keyspace', 'limit', 'materialized',
+    'modify', 'nan', 'norecursive', 'not', 'null', 'of', 'on', 'or', 'order', 'primary', 'rename', 'replace',
+    'revoke', 'schema', 'select', 'set', 'table', 'to', 'token', 'truncate', 'unlogged', 'update', 'use',
+    'using', 'view', 'where', 'with'];
+//instance events run around sync/save, model events around the queries they execute
+const hookEvents = ['validate', 'save', 'remove', 'insert', 'update', 'delete'];
+
+/**
+ * Serializes schema definitions as JS source, see {@link Cassandra.Schema#toSource}
+ * @param {mixed} value - a column or options definition
+ * @param {number} depth - the current indentation depth
+ * @returns {string} source
+ */
+const toSource = (value, depth) => {
+    depth = depth || 0;
+    if (typeof value === 'string') {
+        return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+    }
+    if (typeof value === 'function') {
+        if (value === Cassandra.uuid || value === Cassandra.timeuuid) {
+            return 'Cassandra.' + value.name;
+        }
+        return value.toString();
+    }
+    if (value instanceof Cassandra.Type) {
+        return format('new Cassandra.Type(%s, %s)', toSource(value.name), toSource(value.fields, depth));
+    }
+    if (value instanceof RegExp) {
+        return String(value);
+    }
+    if (value instanceof Date) {
+        return format('new Date(%s)', toSource(value.toISOString()));
+    }
+    if (Array.isArray(value)) {
+        return '[' + value.map((item) => toSource(item, depth)).join(', ') + ']';
+    }
+    if (value && typeof value === 'object') {
+        let keys = Object.keys(value);
+        let padding = '    '.repeat(depth + 1);
+        if (!keys.length) {
+            return '{}';
+        }
+        return '{\n' + keys.map((key) => {
+            return padding + (identifier.test(key) ? key : toSource(key)) + ': ' + toSource(value[key], depth + 1);
+        }).join(',\n') + '\n' + '    '.repeat(depth) + '}';
+    }
+    return String(value);
+};
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => typeof value === 'number' && value >= 0 && value % 1 === 0;
+/**
+ * Validators of the table options supported by schema options, these are set
+ * in the WITH clause of the table as they are named in CQL
+ */
+const tableOptions = {
+    compaction: isObject,
+    compression: isObject,
+    caching: (value) => isObject(value) && Object.keys(value).every((key) => {
+        return key === 'keys' || key === 'rows_per_partition';
+    }),
+    default_time_to_live: isCount,
+    gc_grace_seconds: isCount,
+    bloom_filter_fp_chance: (value) => typeof value === 'number' && value > 0 && value <= 1,
+    speculative_retry: (value) => /^(ALWAYS|NONE|\d+(\.\d+)?(PERCENTILE|p|ms))$/i.test(value),
+    comment: (value) => typeof value === 'string'
+};
+
+/**
+ * Serializes a table option value as a CQL literal
+ * @param {mixed} value - a number, string or object of the option
+ * @returns {string} the CQL literal
+ */
+const toCqlLiteral = (value) => {
+    if (typeof value === 'string') {
+        return "'" + value.replace(/'/g, "''") + "'";
+    }
+    if (isObject(value)) {
+        return JSON.stringify(value).replace(/"/g, "'");
+    }
+    return String(value);
+};
+
+//Long and Date values are compared as numbers
+const toComparable = (value) => value && typeof value.toNumber === 'function' ? value.toNumber() : value;
+const lengthOf = (value) => undefined !== value.length ? value.length : Object.keys(value).length;
+/**
+ * Column validators supported by column definitions, each qualifies its setting when
+ * the schema is created and checks values, returning a message when the value is invalid
+ */
+const validators = {
+    validate: {
+        qualify: (fn) => typeof fn === 'function',
+        //custom validators return false or a message when the value is invalid
+        check: (value, fn, object) => {
+            var result = fn(value, object);
+            if (typeof result === 'string') {
+                return result;
+            }
+            return false === result ? 'failed custom validation' : null;
+        }
+    },
+    enum: {
+        qualify: (values) => Array.isArray(values) && values.length > 0,
+        check: (value, values) => values.indexOf(value) === -1 ? format('must be one of %j', values) : null
+    },
+    min: {
+        qualify: (min) => typeof min === 'number' || min instanceof Date,
+        check: (value, min) => toComparable(value) < min ? 'must be at least ' + min : null
+    },
+    max: {
+        qualify: (max) => typeof max === 'number' || max instanceof Date,
+        check: (value, max) => toComparable(value) > max ? 'must be at most ' + max : null
+    },
+    minLength: {
+        qualify: isCount,
+        check: (value, min) => lengthOf(value) < min ? 'must have a length of at least ' + min : null
+    },
+    maxLength: {
+        qualify: isCount,
+        check: (value, max) => lengthOf(value) > max ? 'must have a length of at most ' + max : null
+    },
+    match: {
+        qualify: (regex) => regex instanceof RegExp,
+        check: (value, regex) => {
+            regex.lastIndex = 0;
+            return regex.test(String(value)) ? null : 'must match ' + regex;
+        }
+    }
+};
+
+/**
+ * Splits the comma separated arguments of a CQL type, eg: "text,frozen<map<text,int>>"
+ * @param {string} args - the arguments without whitespace
+ * @returns {array} the argument types
+ */
+const splitTypes = (args) => {
+    var depth = 0;
+    var start = 0;
+    var split = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '<') {
+            depth++;
+        } else if (args[i] === '>') {
+            depth--;
+        } else if (args[i] === ',' && !depth) {
+            split.push(args.slice(start, i));
+            start = i + 1;
+        }
+    }
+    split.push(args.slice(start));
+    return split;
+};
+
+/**
+ * Creates a resolver of the user-defined types read from system_schema, types are
+ * created once they are used, along with the types they use
+ * @param {array} rows - system_schema.types rows of the keyspace
+ * @returns {function} resolve - receives the type name, returns a Cassandra.Type or undefined
+ */
+const describeTypes = (rows) => {
+    var types = {};
+    var resolve = (name) => {
+            var row = rows.filter((row) => row.type_name === name)[0];
+            if (row && !types[name]) {
+                let fields = {};
+                row.field_names.forEach((field, index) => {
+                    fields[field] = Schema.parseType(row.field_types[index], resolve);
+                });
+                types[name] = new Cassandra.Type(name, fields);
+            }
+            return types[name];
+        };
+    return resolve;
+};
+
+/**
+ * Reads the primary keys and clustering order from system_schema column rows
+ * @param {array} rows - system_schema.columns rows of a table or view
+ * @returns {object} {primaryKeys: array, orderBy: object|undefined}
+ */
+const describeKeys = (rows) => {
+    var byPosition = (a, b) => a.position - b.position;
+    var partitionKeys = rows.filter((row) => row.kind === 'partition_key').sort(byPosition);
+    var clusteringKeys = rows.filter((row) => row.kind === 'clustering').sort(byPosition);
+    var names = (keys) => keys.map((row) => row.column_name);
+    var keys = {
+            primaryKeys: partitionKeys.length > 1
+                ? [names(partitionKeys)].concat(names(clusteringKeys))
+                : names(partitionKeys).concat(names(clusteringKeys))
+        };
+    //only needed when the default ascending order is not used
+    if (clusteringKeys.some((row) => row.clustering_order === 'desc')) {
+        keys.orderBy = {};
+        clusteringKeys.forEach((row) => keys.orderBy[row.column_name] = row.clustering_order);
+    }
+    return keys;
+};
+
+/**
+ * Merges column definitions into the columns of a composed schema, a column declared again
+ * must have the same type, its settings are merged
+ * @param {object} columns - the composed columns
+ * @param {object} definition - the columns to merge
+ * @throws Error - a column is declared with another type
+ */
+const mergeColumns = (columns, definition) => {
+    for (let field in definition) {
+        let column = definition[field];
+        let existing = columns[field];
+        if (undefined === existing) {
+            columns[field] = column;
+            continue;
+        }
+        let type = Schema.toCqlType(Schema.normalizeType(column.type || column));
+        let existingType = Schema.toCqlType(Schema.normalizeType(existing.type || existing));
+        if (type !== existingType) {
+            throw new Error(format('Invalid column, conflicting types %s and %s; column: %s', existingType, type, field));
+        }
+        //columns without a "type" setting are types themselves
+        columns[field] = existing.type && column.type ? Object.assign({}, existing, column) : column;
+    }
+};
+
+/**
+ * Merges schema options into the options of a composed schema, indexes are added up and
+ * views merged, other options are overridden. The clustering order belongs to the primary keys
+ * @param {object} options - the composed options
+ * @param {object} merged - the options to merge
+ */
+const mergeOptions = (options, merged) => {
+    var indexes = options.indexes || [];
+    var views = options.views;
+    if (merged.primaryKeys && !merged.orderBy) {
+        delete options.orderBy;
+    }
+    Object.assign(options, merged);
+    if (indexes.length || merged.indexes) {
+        options.indexes = indexes.concat((merged.indexes || []).filter((index) => indexes.indexOf(index) === -1));
+    }
+    if (views || merged.views) {
+        options.views = Object.assign({}, views, merged.views);
+    }
+};
 
 /**
  * Create a new Cassandra Schema to be attached to the models
@@ -40,7 +292,52 @@ class Schema {
         var schema = this;
         schema.model = {};
         schema.statics = {};
+        schema.methods = {}; //instance methods
+        schema.virtuals = {}; //computed instance properties, not persisted
+        schema.hooks = {pre: {}, post: {}}; //middleware by event
+        schema.definition = columns ? Object.assign({}, columns) : columns; //columns as they are declared
         schema.options = options;
+        //functions returned by plugins, called when a model attaches the schema
+        Object.defineProperties(schema, {
+            __$$attach: {
+                value: []
+            },
+            //columns added by plugins are prepared once they have been applied
+            __$$applying: {
+                value: 0,
+                writable: true
+            }
+        });
+        for (let plugin of Schema.plugins) {
+            schema._applyPlugin(plugin.fn, plugin.options);
+        }
+        //what the global plugins added, composed schemas apply them again
+        var global = {
+                hooks: {pre: {}, post: {}},
+                attach: schema.__$$attach.slice()
+            };
+        for (let type in schema.hooks) {
+            for (let event in schema.hooks[type]) {
+                global.hooks[type][event] = schema.hooks[type][event].slice();
+            }
+        }
+        Object.defineProperty(schema, '__$$global', {
+            value: global
+        });
+        schema._prepare();
+    }
+
+    /**
+     * Prepares the columns and qualifies the keys, counters, static columns, table options
+     * and views, this runs again when columns are added or a plugin is applied
+     * @throws Error - invalid schema definition
+     */
+    _prepare() {
+        var schema = this;
+        var options = schema.options;
+        schema.model = {};
+        schema.getters = {}; //column transforms applied when reading rows
+        schema.setters = {}; //column transforms applied when writing instances
         schema.required = {}; //list of required columns
         schema.defaults = {}; //list of default functions
         schema.columns = []; //list of columns as they are mapped
@@ -49,16 +346,173 @@ class Schema {
         schema.dataMap = Object.create(null); //maps case-sensitive model fields
         schema.mappedDataPrototype = Object.create(null);
         schema.collections = {}; //maps set,map,list collection types
+        schema.udts = {}; //maps user-defined type columns
+        schema.columnTypes = {}; //maps normalized type descriptors
+        schema.counters = {}; //list of counter columns
+        schema.staticColumns = {}; //list of static columns
+        schema.counterTable = false;
+        schema.validators = {}; //maps column validators
         if (!options.primaryKeys || !Array.isArray(options.primaryKeys) || options.primaryKeys.length === 0) {
             throw new Error('Schema expects to have option "primaryKeys" of type array');
         }
-        schema._prepareColumns(columns);
+        if (undefined !== options.strict && options.strict !== 'throw' && options.strict !== 'ignore') {
+            throw new Error(format('Schema option "strict" must be "throw" or "ignore": %j', options.strict));
+        }
+        schema._qualifyTimestamps();
+        schema._prepareColumns(schema.definition);
         schema._qualifyPrimaryKeys();
+        schema._qualifyCounters();
+        schema._qualifyStaticColumns();
+        schema._qualifyTableOptions();
         if (options.views) {
             schema._qualifyViews();
         }
     }
 
+    /**
+     * Applies a plugin to the schema, plugins are functions that receive the schema and
+     * their options and can add columns with {@link Cassandra.Schema#add}, statics, methods,
+     * virtuals, hooks and the "indexes" and "views" options before the columns are prepared again.
+     * A plugin may return a function, which is called with the {@link Cassandra} instance
+     * and the model name whenever {@link Cassandra#model} attaches the schema.
+     * See {@link Cassandra.plugin} to apply a plugin to every schema
+     * @param {function} fn - the plugin
+     * @param {object} options - passed to the plugin
+     * @throws Error - the plugin failed or the schema is not valid after applying it, the schema is left as it was
+     * @returns {Cassandra.Schema} schema
+     * @example
+     * var softDelete = (schema, options) => {
+     *   schema.add({deleted: {type: 'boolean', default: false}});
+     *   schema.statics.findActive = function (query, callback) {
+     *     return this.find(Object.assign({deleted: false}, query), {allowFiltering: true}, callback);
+     *   };
+     *   return (cassandra, name) => console.log('soft delete enabled on %s.%s', cassandra.keyspace, name);
+     * };
+     * schema.plugin(softDelete);
+     */
+    plugin(fn, options) {
+        var schema = this;
+        var restore = schema._snapshot();
+        try {
+            schema._applyPlugin(fn, options);
+            schema._prepare();
+        } catch (err) {
+            restore();
+            schema._prepare();
+            throw err;
+        }
+        return schema;
+    }
+
+    /**
+     * Copies what plugins may change: the columns, options, statics, methods, virtuals,
+     * hooks and attach functions
+     * @returns {function} restore - puts the copies back
+     */
+    _snapshot() {
+        var schema = this;
+        var objects = ['options', 'statics', 'methods', 'virtuals'];
+        var copy = (object) => {
+                var copied = {};
+                for (let key in object) {
+                    copied[key] = Array.isArray(object[key]) ? object[key].slice() : object[key];
+                }
+                return copied;
+            };
+        var copies = objects.map((name) => copy(schema[name]));
+        var definition = schema.definition;
+        var hooks = {pre: copy(schema.hooks.pre), post: copy(schema.hooks.post)};
+        var attach = schema.__$$attach.slice();
+        return () => {
+            objects.forEach((name, index) => {
+                for (let key of Object.keys(schema[name])) {
+                    delete schema[name][key];
+                }
+                Object.assign(schema[name], copies[index]);
+            });
+            schema.definition = definition;
+            schema.hooks.pre = hooks.pre;
+            schema.hooks.post = hooks.post;
+            schema.__$$attach.splice(0, schema.__$$attach.length, ...attach);
+        };
+    }
+
+    _applyPlugin(fn, options) {
+        var schema = this;
+        if (typeof fn !== 'function') {
+            throw new TypeError('Schema plugins must be functions: "' + fn + '"');
+        }
+        schema.__$$applying += 1;
+        try {
+            let attach = fn(schema, options || {});
+            if (typeof attach === 'function') {
+                schema.__$$attach.push(attach);
+            }
+        } finally {
+            schema.__$$applying -= 1;
+        }
+    }
+
+    /**
+     * Adds columns to the schema, declared the same as the columns passed to the constructor.
+     * Outside of plugins the columns are prepared right away
+     * @param {object} columns - A list of key:values representative of field:type
+     * @throws Error - invalid column definitions
+     * @returns {Cassandra.Schema} schema
+     */
+    add(columns) {
+        var schema = this;
+        var definition = schema.definition;
+        schema.definition = Object.assign({}, definition, columns);
+        if (!schema.__$$applying) {
+            try {
+                schema._prepare();
+            } catch (err) {
+                schema.definition = definition;
+                schema._prepare();
+                throw err;
+            }
+        }
+        return schema;
+    }
+
+    /**
+     * Creates a new schema with the columns, statics, methods, virtuals, hooks and options of this
+     * schema and more columns and options, or another schema, see {@link Cassandra.Schema.compose}.
+     * This schema is left as it is
+     * @param {object|Cassandra.Schema} columns - A list of key:values representative of field:type, or a schema
+     * @param {object} options - schema options, the "primaryKeys" option overrides the primary keys
+     * @throws Error - a column is declared with another type, or the new schema is not valid
+     * @returns {Cassandra.Schema} schema
+     * @example
+     * var auditSchema = new Cassandra.Schema({tenant: 'text', id: 'timeuuid', modifiedBy: 'text'}, {
+     *   primaryKeys: [['tenant', 'id']],
+     *   timestamps: true
+     * });
+     * var orderSchema = auditSchema.extend({total: 'decimal'}, {indexes: ['modifiedBy']});
+     */
+    extend(columns, options) {
+        if (columns instanceof Schema) {
+            return Schema.compose(this, columns);
+        }
+        return Schema.compose(this, {
+            definition: columns || {},
+            options: options || {}
+        });
+    }
+
+    /**
+     * Called by {@link Cassandra#model} when the schema is attached to a model, runs
+     * the functions returned by plugins
+     * @param {Cassandra} cassandra - the Cassandra instance
+     * @param {string} name - the model name
+     */
+    _attach(cassandra, name) {
+        for (let attach of this.__$$attach) {
+            attach(cassandra, name);
+        }
+    }
+
     qualifyType(type) {
         //if type is object instead of string, then get the type property
         if (!dataTypes[type]) {
@@ -83,32 +537,65 @@ class Schema {
             type;
         for (let field in columns) {
             column = columns[field];
-            type = column.type || column;
-            //assume type is an object of set,map,list
-            if (type && !type.length) {
-                //if type is object instead of string, then get the type property
+            type = Schema.normalizeType(column.type || column);
+            schema.columnTypes[field] = type;
+            if (type instanceof Cassandra.Type) {
+                schema.udts[field] = type;
+                type = 'udt';
+            } else if (typeof type === 'object') {
+                //collection of set,map,list or frozen,tuple
                 let typeObj = type;
-                if (typeObj.set) {
-                    type = 'set';
-                    schema.qualifyType(typeObj.set);
-                } else if (typeObj.list) {
-                    type = 'list';
-                    schema.qualifyType(typeObj.list);
-                } else if (typeObj.map) {
-                    type = 'map';
-                    typeObj.map.forEach(schema.qualifyType);
-                }
-                schema.collections[field] = typeObj[type];
-            }
-            schema.qualifyType(type);
+                type = Object.keys(typeObj)[0];
+                if (type !== 'frozen' && type !== 'tuple') {
+                    schema.collections[field] = typeObj[type];
+                }
+            }
             schema.model[field] = type;
+            if (type === 'counter') {
+                schema.counters[field] = 1;
+            }
+            if (column.static) {
+                schema.staticColumns[field] = 1;
+            }
             if (column.required) {
                 schema.required[field] = 1;
             }
+            for (let rule in validators) {
+                //string and user-defined type columns have no settings
+                if (typeof column !== 'object' || column instanceof Cassandra.Type || undefined === column[rule]) {
+                    continue;
+                }
+                if (!validators[rule].qualify(column[rule])) {
+                    throw new Error(format('Invalid validator, not supported: %s; column: %s', rule, field));
+                }
+                schema.validators[field] = schema.validators[field] || {};
+                schema.validators[field][rule] = column[rule];
+            }
             if (undefined !== column.default) {
                 schema.defaults[field] = column.default;
             }
+            //{set: type} declares a set column, so transforms need a "type" setting
+            for (let transform of ['get', 'set']) {
+                if (!column.type || undefined === column[transform]) {
+                    continue;
+                }
+                if (typeof column[transform] !== 'function') {
+                    throw new Error(format('Invalid %s transform, expected a function; column: %s', transform, field));
+                }
+                schema[transform === 'get' ? 'getters' : 'setters'][field] = column[transform];
+            }
+            //unquoted identifiers are stored in lowercase, "dbName" is used as it is
             let mapping = field.toLowerCase();
+            if (undefined !== column.dbName && typeof column === 'object' && !(column instanceof Cassandra.Type)) {
+                if (typeof column.dbName !== 'string' || !column.dbName.length) {
+                    throw new Error(format('Invalid dbName, expected a string; column: %s', field));
+                }
+                mapping = column.dbName;
+            }
+            if (schema.dataMap[mapping]) {
+                throw new Error(format('Invalid column, the database name "%s" is used by '
+                    + 'another column; column: %s', mapping, field));
+            }
             schema.columns.push(field);
             schema.columnIndex.push(mapping);
             schema.columnMap[field] = mapping;
@@ -118,6 +605,502 @@ class Schema {
         schema.columns = schema.columns.sort();
     }
 
+    /**
+     * Checks and coerces a column value against the column's type, see {@link Cassandra.Schema#coerce}.
+     * Unknown columns are left as they are
+     * @param {string} column - the column name
+     * @param {mixed} value - the value to coerce
+     * @param {string} part - "element" to coerce a set or list element or a map value, "key" for a map key
+     * @throws TypeError - the value does not match the type
+     * @returns {mixed} value
+     */
+    coerceValue(column, value, part) {
+        var schema = this;
+        var descriptor = schema.columnTypes[column];
+        if (!descriptor) {
+            return value;
+        }
+        if (part) {
+            descriptor = descriptor.frozen || descriptor;
+            if (descriptor.map) {
+                descriptor = descriptor.map[part === 'key' ? 0 : 1];
+            } else if (descriptor.set || descriptor.list) {
+                descriptor = descriptor.set || descriptor.list;
+            }
+        }
+        return coerce(descriptor, value, schema.options.strictTypes);
+    }
+
+    /**
+     * Checks the values of an object against the column types and coerces them to what the
+     * driver expects, eg: numeric strings for int columns, ISO strings or numbers for timestamp
+     * columns and strings for uuid columns. With the schema option "strictTypes" values
+     * are only checked, and an error is reported instead of coercing them
+     * @param {object} object - column:values to coerce
+     * @returns {object} {values: object, errors: array} - the coerced values and a list of {column, rule, message, value}
+     */
+    coerce(object) {
+        var schema = this;
+        var values = {};
+        var errors = [];
+        for (let column in object) {
+            try {
+                values[column] = schema.coerceValue(column, object[column]);
+            } catch (err) {
+                values[column] = object[column];
+                errors.push({
+                    column: column,
+                    rule: 'type',
+                    message: err.message,
+                    value: object[column]
+                });
+            }
+        }
+        return {
+            values: values,
+            errors: errors
+        };
+    }
+
+    /**
+     * Runs the column validators on the columns of an object that are set, null
+     * and undefined values are left to the "required" setting, as are empty collections
+     * which Cassandra stores as null. Custom "validate" functions receive the value and the whole object
+     * @param {object} object - column:values to validate
+     * @param {object} context - the whole object passed to custom validators, defaults to object
+     * @returns {array} errors - a list of {column, rule, message, value}, empty if valid
+     */
+    validate(object, context) {
+        var schema = this;
+        var errors = [];
+        for (let column in object) {
+            let value = object[column];
+            let rules = schema.validators[column];
+            if (!rules || null === value || undefined === value
+                || (schema.collections[column] && !lengthOf(value))) {
+                continue;
+            }
+            for (let rule in rules) {
+                let message = validators[rule].check(value, rules[rule], context || object);
+                if (message) {
+                    errors.push({
+                        column: column,
+                        rule: rule,
+                        message: message,
+                        value: value
+                    });
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Adds middleware that runs before an event. Instance events, "validate" and "save", run
+     * around {@link Cassandra.Model.ModelInstance#sync|sync()} and {@link Cassandra.Model.ModelInstance#save|save()},
+     * and "remove" around {@link Cassandra.Model.ModelInstance#delete|delete()}, with the instance
+     * as "this" and receive {instance}. Model events, "insert", "update" and "delete",
+     * run around every query the model executes, including the queries of its instances, with the
+     * model as "this" and receive {model, query, params}, where query is the CQL and params its
+     * parameters, which pre hooks may change. Hooks either take a next(err) callback as their
+     * second argument or return, optionally a Promise, an error aborts the operation
+     * @param {string} event - validate, save, remove, insert, update or delete
+     * @param {function} fn - the hook
+     * @throws Error - not a supported event
+     * @returns {Cassandra.Schema} schema
+     * @example
+     * schema.pre('save', function () {
+     *   this.modified = new Date();
+     * });
+     * schema.pre('delete', (context, next) => {
+     *   next(context.params[0] === 'admin' ? new Error('admin can not be deleted') : null);
+     * });
+     */
+    pre(event, fn) {
+        return this._addHook('pre', event, fn);
+    }
+
+    /**
+     * Adds middleware that runs after an event succeeded, see {@link Cassandra.Schema#pre},
+     * the context also has the result of the query
+     * @param {string} event - validate, save, remove, insert, update or delete
+     * @param {function} fn - the hook
+     * @throws Error - not a supported event
+     * @returns {Cassandra.Schema} schema
+     * @example
+     * schema.post('update', (context) => cache.invalidate(context.params));
+     */
+    post(event, fn) {
+        return this._addHook('post', event, fn);
+    }
+
+    _addHook(type, event, fn) {
+        var schema = this;
+        if (hookEvents.indexOf(event) === -1) {
+            throw new Error(format('Invalid hook event, not supported: %s', event));
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError(format('Hook expects a function; event: %s', event));
+        }
+        (schema.hooks[type][event] = schema.hooks[type][event] || []).push(fn);
+        return schema;
+    }
+
+    /**
+     * Runs the pre or post hooks of an event, see {@link Cassandra.Schema#pre}
+     * @param {string} type - pre or post
+     * @param {string} event - the event
+     * @param {object} target - the instance or model the hooks are called on
+     * @param {object} context - passed to the hooks
+     * @param {function} callback - receives err
+     */
+    runHooks(type, event, target, context, callback) {
+        var hooks = this.hooks[type][event];
+        if (!hooks) {
+            return callback(null);
+        }
+        runHooks(hooks, target, context, callback);
+    }
+
+    /**
+     * Get the identifier of a column as it is used in CQL, its database name quoted where needed
+     * @param {string} column - the column name
+     * @returns {string} identifier, eg: "name", "\"userName\"" or "\"order\""
+     */
+    identifier(column) {
+        return Schema.quote(this.columnMap[column] || column);
+    }
+
+    /**
+     * Get the CQL type of a column as it is declared in table definitions
+     * @param {string} column - the column name
+     * @returns {string} the CQL type, eg: "text", "map<text, int>" or "frozen<address>"
+     */
+    cqlType(column) {
+        return Schema.toCqlType(this.columnTypes[column]);
+    }
+
+    /**
+     * List the user-defined types used by the schema's columns, in the order they need to be created
+     * @returns {array} types - a list of {@link Cassandra.Type}
+     */
+    userTypes() {
+        var schema = this;
+        var userTypes = [];
+        for (let column of schema.columns) {
+            for (let type of Cassandra.Type.dependencies(schema.columnTypes[column])) {
+                if (userTypes.indexOf(type) === -1) {
+                    userTypes.push(type);
+                }
+            }
+        }
+        return userTypes;
+    }
+
+    /**
+     * Validates a column type definition and normalizes it into a type descriptor,
+     * a descriptor is either a data type string, a {@link Cassandra.Type}, or an object
+     * of set, list, map, tuple or frozen descriptors, eg: {set: 'text'}, {list: address},
+     * {map: ['text', {frozen: {list: 'int'}}]}, {tuple: ['int', 'text']}, {frozen: {set: 'int'}}.
+     * Collections inside collections and tuples must be frozen, user-defined types and tuples
+     * are always frozen
+     * @param {string|object|Cassandra.Type} type - the column type definition
+     * @param {boolean} nested - the type is an element of a collection or tuple
+     * @throws TypeError - the type is not supported
+     * @returns {string|object|Cassandra.Type} descriptor
+     */
+    static normalizeType(type, nested) {
+        var element = (type) => Schema.normalizeType(type, true);
+        if (type instanceof Cassandra.Type) {
+            return type;
+        }
+        if (type && typeof type === 'object') {
+            let kind = ['set', 'list', 'map', 'tuple', 'frozen'].filter((kind) => type[kind])[0];
+            if (nested && (kind === 'set' || kind === 'list' || kind === 'map')) {
+                throw new TypeError(format('Cassandra data type not supported, nested '
+                    + 'collections must be frozen: %j', type));
+            }
+            if (kind === 'set' || kind === 'list') {
+                let descriptor = {};
+                descriptor[kind] = element(type[kind]);
+                return descriptor;
+            }
+            if ((kind === 'map' && Array.isArray(type.map) && type.map.length === 2)
+                || (kind === 'tuple' && Array.isArray(type.tuple) && type.tuple.length)) {
+                let descriptor = {};
+                descriptor[kind] = type[kind].map(element);
+                return descriptor;
+            }
+            if (kind === 'frozen' && typeof type.frozen === 'object') {
+                let frozen = Schema.normalizeType(type.frozen);
+                //user-defined types and tuples are frozen already
+                return frozen instanceof Cassandra.Type || frozen.tuple || frozen.frozen
+                    ? frozen
+                    : {frozen: frozen};
+            }
+        }
+        Schema.prototype.qualifyType(type);
+        return type;
+    }
+
+    /**
+     * Get the CQL type of a type descriptor, user-defined types are always frozen
+     * @param {string|object|Cassandra.Type} descriptor - see {@link Cassandra.Schema.normalizeType}
+     * @returns {string} the CQL type
+     */
+    static toCqlType(descriptor) {
+        if (descriptor instanceof Cassandra.Type) {
+            return format('frozen<%s>', Schema.quote(descriptor.name));
+        }
+        if (typeof descriptor === 'string') {
+            return descriptor;
+        }
+        if (descriptor.frozen) {
+            return format('frozen<%s>', Schema.toCqlType(descriptor.frozen));
+        }
+        if (descriptor.tuple) {
+            return format('frozen<tuple<%s>>', descriptor.tuple.map(Schema.toCqlType).join(', '));
+        }
+        if (descriptor.map) {
+            return format('map<%s>', descriptor.map.map(Schema.toCqlType).join(', '));
+        }
+        var type = descriptor.set ? 'set' : 'list';
+        return format('%s<%s>', type, Schema.toCqlType(descriptor[type]));
+    }
+
+    /**
+     * Parses a CQL type as it is stored in system_schema into a column type definition
+     * @param {string} type - the CQL type, eg: "text", "map<text, int>" or "frozen<list<int>>"
+     * @param {function} resolveType - optional, receives a type name and returns the
+     * {@link Cassandra.Type} it refers to, if any
+     * @throws TypeError - the type is not supported
+     * @returns {string|object|Cassandra.Type} the column type, eg: "text" or {map: ['text', 'int']}
+     */
+    static parseType(type, resolveType) {
+        var match = /^(set|list|map|tuple|frozen)<(.+)>$/.exec(type.replace(/\s+/g, ''));
+        var parsed = {};
+        if (!match) {
+            //case-sensitive type names are quoted
+            let userType = resolveType && resolveType(/^".*"$/.test(type) ? type.slice(1, -1).replace(/""/g, '"') : type);
+            if (userType) {
+                return userType;
+            }
+            Schema.prototype.qualifyType(type);
+            return type;
+        }
+        var args = splitTypes(match[2]).map((arg) => Schema.parseType(arg, resolveType));
+        var expected = match[1] === 'map' ? 2 : match[1] === 'tuple' ? args.length : 1;
+        if (args.length !== expected) {
+            throw new TypeError('Cassandra data type not supported: "' + type + '"');
+        }
+        parsed[match[1]] = match[1] === 'map' || match[1] === 'tuple' ? args : args[0];
+        return Schema.normalizeType(parsed);
+    }
+
+    /**
+     * Quotes a table, view, index or column name as a CQL identifier where needed,
+     * names that are not lowercase or are reserved words
+     * @param {string} name - the name as it's stored
+     * @returns {string} identifier
+     * @example
+     * Schema.quote('name'); //name
+     * Schema.quote('userName'); //"userName"
+     * Schema.quote('order'); //"order"
+     */
+    static quote(name) {
+        return unquoted.test(name) && reservedWords.indexOf(name) === -1
+            ? name
+            : '"' + name.replace(/"/g, '""') + '"';
+    }
+
+    /**
+     * Creates a new schema merging schemas in order: columns declared by more than one schema
+     * must have the same type and their settings, such as required or default, are merged.
+     * Statics, methods and virtuals of later schemas override, hooks run in the order of the
+     * schemas, indexes are added up and views merged. Other options are overridden, so the last
+     * schema's primary keys are used. The global plugins are applied to the new schema once
+     * @param {...Cassandra.Schema} schemas - the schemas to merge
+     * @throws Error - a column is declared with another type, or the new schema is not valid
+     * @returns {Cassandra.Schema} schema
+     * @example
+     * var schema = Cassandra.Schema.compose(tenantSchema, auditSchema, userSchema);
+     */
+    static compose() {
+        var sources = Array.prototype.slice.call(arguments);
+        var columns = {};
+        var options = {};
+        for (let source of sources) {
+            mergeColumns(columns, source.definition);
+            mergeOptions(options, source.options);
+        }
+        var schema = new Schema(columns, options);
+        //extending columns and options have none of these
+        for (let source of sources.filter((source) => source instanceof Schema)) {
+            let global = source.__$$global;
+            Object.assign(schema.statics, source.statics);
+            Object.assign(schema.methods, source.methods);
+            Object.assign(schema.virtuals, source.virtuals);
+            for (let type in source.hooks) {
+                for (let event in source.hooks[type]) {
+                    let hooks = source.hooks[type][event].filter((hook) => {
+                        return (global.hooks[type][event] || []).indexOf(hook) === -1;
+                    });
+                    schema.hooks[type][event] = (schema.hooks[type][event] || []).concat(hooks);
+                }
+            }
+            for (let attach of source.__$$attach) {
+                if (global.attach.indexOf(attach) === -1 && schema.__$$attach.indexOf(attach) === -1) {
+                    schema.__$$attach.push(attach);
+                }
+            }
+        }
+        return schema;
+    }
+
+    /**
+     * Creates a Schema equivalent to a table read from system_schema, see {@link Cassandra#introspect}.
+     * Views created outside of the ORM keep their name, though once attached the ORM will
+     * look for them as <table>__<view>
+     * @param {string} tableName - the name of the table as it is stored
+     * @param {object} table - {columns, indexes, views, viewColumns, types} rows from system_schema
+     * @throws Error - the table uses an unsupported type or index
+     * @returns {Cassandra.Schema}
+     */
+    static fromSystemSchema(tableName, table) {
+        var columns = {};
+        var options = describeKeys(table.columns);
+        var indexes = [];
+        var views = {};
+        var resolveType = describeTypes(table.types || []);
+        for (let row of table.columns) {
+            let type = Schema.parseType(row.type, resolveType);
+            columns[row.column_name] = typeof type === 'string' && row.kind !== 'static'
+                ? type
+                : {type: type};
+            if (row.kind === 'static') {
+                columns[row.column_name].static = true;
+            }
+            //case-sensitive names were created quoted
+            if (row.column_name !== row.column_name.toLowerCase()) {
+                columns[row.column_name] = Object.assign(
+                    typeof columns[row.column_name] === 'string' ? {type: type} : columns[row.column_name],
+                    {dbName: row.column_name}
+                );
+            }
+        }
+        for (let row of table.indexes) {
+            let indexOptions = Object.assign({}, row.options);
+            let target = indexOptions.target || '';
+            let match = /^(keys|values|entries|full)\((.+)\)$/.exec(target);
+            let column = match ? match[2] : target;
+            if (/^".*"$/.test(column)) {
+                column = column.slice(1, -1).replace(/""/g, '"');
+            }
+            let type = columns[column] && (columns[column].type || columns[column]);
+            if (!type || (!match && typeof type !== 'string' && row.kind !== 'CUSTOM')) {
+                throw new Error(format('Could not introspect index, target not supported: '
+                    + '%s, index: %s', target, row.index_name));
+            }
+            //the targets created by default, see Cassandra.Model#createIndex
+            let implied = !match || (match[1] === 'keys' && type.map) || (match[1] === 'values' && (type.set || type.list))
+                || (match[1] === 'full' && type.frozen);
+            let defaultName = implied
+                ? format('%s_%s_idx', tableName, column)
+                : format('%s_%s_%s_idx', tableName, column, match[1]);
+            if (row.kind === 'CUSTOM' || !implied) {
+                let index = {
+                        target: implied ? column : format('%s(%s)', match[1], column)
+                    };
+                if (row.index_name !== defaultName.toLowerCase()) {
+                    index.name = row.index_name;
+                }
+                if (row.kind === 'CUSTOM') {
+                    index.using = indexOptions.class_name;
+                    delete indexOptions.class_name;
+                    delete indexOptions.target;
+                    if (Object.keys(indexOptions).length) {
+                        index.options = indexOptions;
+                    }
+                }
+                indexes.push(index);
+            } else if (row.index_name === defaultName.toLowerCase()) {
+                indexes.push(column);
+            } else {
+                let index = {};
+                index[column] = row.index_name;
+                indexes.push(index);
+            }
+        }
+        for (let row of table.views) {
+            let viewColumns = table.viewColumns[row.view_name];
+            let view = describeKeys(viewColumns);
+            let keys = viewColumns.filter((column) => column.kind !== 'regular').map((column) => column.column_name);
+            let name = row.view_name.indexOf(tableName + '__') === 0
+                ? row.view_name.slice(tableName.length + 2)
+                : row.view_name;
+            let select = (row.include_all_columns ? table.columns : viewColumns)
+                .map((column) => column.column_name)
+                .filter((column) => keys.indexOf(column) === -1);
+            if (select.length) {
+                view.select = select;
+            }
+            views[name] = view;
+        }
+        if (indexes.length) {
+            options.indexes = indexes;
+        }
+        if (Object.keys(views).length) {
+            options.views = views;
+        }
+        return new Schema(columns, options);
+    }
+
+    /**
+     * Prints the schema as JS source, eg: to check in a schema created by {@link Cassandra#introspect}.
+     * Default value functions and get/set transforms are printed using their own source
+     * @returns {string} source
+     * @example
+     * cassandra.introspect('users', (err, schema) => console.log(schema.toSource()));
+     * // new Cassandra.Schema({
+     * //     age: 'int',
+     * //     name: 'text'
+     * // }, {
+     * //     primaryKeys: ['name']
+     * // })
+     */
+    toSource() {
+        var schema = this;
+        var columns = {};
+        for (let column of schema.columns) {
+            let definition = {
+                    type: schema.columnTypes[column]
+                };
+            if (schema.staticColumns[column]) {
+                definition.static = true;
+            }
+            if (schema.required[column]) {
+                definition.required = true;
+            }
+            if (undefined !== schema.defaults[column]) {
+                definition.default = schema.defaults[column];
+            }
+            Object.assign(definition, schema.validators[column]);
+            if (schema.getters[column]) {
+                definition.get = schema.getters[column];
+            }
+            if (schema.setters[column]) {
+                definition.set = schema.setters[column];
+            }
+            if (schema.columnMap[column] !== column.toLowerCase()) {
+                definition.dbName = schema.columnMap[column];
+            }
+            columns[column] = Object.keys(definition).length === 1 && typeof definition.type === 'string'
+                ? definition.type
+                : definition;
+        }
+        return format('new Cassandra.Schema(%s, %s)', toSource(columns), toSource(schema.options));
+    }
+
     /**
      * Validates each view defined by the schema's options
      * @param {object} views - an object of defined views
@@ -143,12 +1126,20 @@ class Schema {
         var schema = this;
         var model = schema.model;
         var view = viewConfig;
+        if (schema.counterTable) {
+            throw new Error(format('Materialized views are not supported on counter '
+                + 'tables; view: %s', viewName));
+        }
         if (!view.select && !view.primaryKeys) {
             throw new Error(format('Views must specify at least a "primaryKeys" '
                 + 'property to create from table; view: %s', viewName));
         }
         if (view.select) {
             for (let column of view.select) {
+                if (schema.staticColumns[column]) {
+                    throw new Error(format('Could not add materialized view, static '
+                        + 'columns are not supported; view: %s, column: %s', viewName, column));
+                }
                 if (!model[column]) {
                     throw new Error(format(
                         'Could not add materialized view, undefined '
@@ -177,6 +1168,117 @@ class Schema {
         return true;
     }
 
+    /**
+     * Reads the "timestamps" option and adds its createdAt and updatedAt columns unless they are
+     * declared, "timestamps" is either true or an object renaming the columns, or leaving one out with false
+     * @throws Error - invalid timestamps option
+     * @example
+     * new Cassandra.Schema({name: 'text'}, {primaryKeys: ['name'], timestamps: {createdAt: 'created', updatedAt: false}});
+     */
+    _qualifyTimestamps() {
+        var schema = this;
+        var option = schema.options.timestamps;
+        schema.timestamps = null;
+        if (!option || !schema.definition) {
+            return;
+        }
+        var timestamps = {
+                createdAt: 'createdAt',
+                updatedAt: 'updatedAt'
+            };
+        if (typeof option === 'object') {
+            for (let key in option) {
+                if (!timestamps[key] || (false !== option[key] && (typeof option[key] !== 'string' || !option[key].length))) {
+                    throw new Error(format('Invalid timestamps option, expected column names or false '
+                        + 'for createdAt and updatedAt: %j', option));
+                }
+            }
+            Object.assign(timestamps, option);
+        } else if (true !== option) {
+            throw new Error(format('Invalid timestamps option, expected true or an object: %j', option));
+        }
+        for (let key in timestamps) {
+            let column = timestamps[key];
+            if (column && !schema.definition[column]) {
+                schema.definition[column] = 'timestamp';
+            }
+        }
+        schema.timestamps = timestamps;
+    }
+
+    /**
+     * Validates the table options, see {@link Cassandra.Schema#tableOptions}
+     * @throws Error - invalid table option
+     */
+    _qualifyTableOptions() {
+        var schema = this;
+        for (let option in tableOptions) {
+            let value = schema.options[option];
+            if (undefined !== value && !tableOptions[option](value)) {
+                throw new Error(format('Invalid table option, not supported: %s = %j', option, value));
+            }
+        }
+    }
+
+    /**
+     * Get the table options set in the schema options as CQL literals, these are:
+     * compaction, compression, caching, default_time_to_live, gc_grace_seconds,
+     * bloom_filter_fp_chance, speculative_retry and comment
+     * @returns {object} option:literal, eg: {gc_grace_seconds: '3600', comment: "'users'"}
+     */
+    tableOptions() {
+        var schema = this;
+        var options = {};
+        for (let option in tableOptions) {
+            if (undefined !== schema.options[option]) {
+                options[option] = toCqlLiteral(schema.options[option]);
+            }
+        }
+        return options;
+    }
+
+    /**
+     * Validates Cassandra's counter table rules, a table with counters may only have
+     * counter columns outside of its primary keys
+     * @throws Error - invalid counter table
+     */
+    _qualifyCounters() {
+        var schema = this;
+        var primaryKeys = [].concat.apply([], schema.options.primaryKeys);
+        if (!Object.keys(schema.counters).length) {
+            return;
+        }
+        for (let column of schema.columns) {
+            let isPrimary = primaryKeys.indexOf(column) !== -1;
+            if (isPrimary && schema.counters[column]) {
+                throw new Error('Invalid Primary Key, counter columns can not '
+                    + 'be used in primary keys; @key: ' + column);
+            }
+            if (!isPrimary && !schema.counters[column]) {
+                throw new Error(format('Counter tables may only have counter columns '
+                    + 'outside of the primary keys; column: %s', column));
+            }
+        }
+        schema.counterTable = true;
+    }
+
+    /**
+     * Validates static columns, which are shared by the rows of a partition
+     * and so require clustering keys
+     * @throws Error - invalid static column
+     */
+    _qualifyStaticColumns() {
+        var schema = this;
+        var primaryKeys = schema.options.primaryKeys;
+        var clusteringKeys = primaryKeys.slice(1);
+        for (let column in schema.staticColumns) {
+            if (!clusteringKeys.length) {
+                throw new Error(format('Static columns require clustering keys in '
+                    + 'the primary keys; column: %s', column));
+            }
+        }
+    }
+
     /**
      * Validates keys against the prepared model
      * @param {array} primaryKeys - an array of primary keys
@@ -194,8 +1296,22 @@ class Schema {
                 throw new Error('Invalid Primary Key, column not '
                     + 'found in schema model; @key: ' + key);
             }
+            if (schema.collections[key]) {
+                throw new Error('Invalid Primary Key, collections must be '
+                    + 'frozen to be used in primary keys; @key: ' + key);
+            }
+            if (schema.staticColumns[key]) {
+                throw new Error('Invalid Primary Key, static columns can not '
+                    + 'be used in primary keys; @key: ' + key);
+            }
         }
     }
 }
 
+/**
+ * Plugins applied to every schema when it's created, see {@link Cassandra.plugin}
+ * @member
+ */
+Schema.plugins = [];
+
 module.exports = Schema;
@@ -0,0 +1,205 @@
+/**
+ * Vertebrae Inc
+ * @package Cassandra-ORM
+ * @exports Type
+ */
+"use strict";
+
+const Cassandra = require('./cassandra');
+const format = require('util').format;
+
+/**
+ * Create a new user-defined type (UDT) that can be used as a column type in a
+ * {@link Cassandra.Schema}, inside collections or as a field of another type.
+ * Types are created with "CREATE TYPE IF NOT EXISTS" before the tables that use them,
+ * and are always declared frozen
+ * @memberof Cassandra
+ * @param {string} name - the name of the type
+ * @param {object} fields - A list of key:values representative of field:type
+ * @example <caption>Create a new Type and use it in a Schema</caption>
+ * var point = new Cassandra.Type('point', {
+ *   lat: 'double',
+ *   lng: 'double'
+ * });
+ * var address = new Cassandra.Type('address', {
+ *   street: 'text',
+ *   zip: 'int',
+ *   location: point
+ * });
+ * var schema = new Cassandra.Schema({
+ *   name: 'text',
+ *   home: address,
+ *   previous: {
+ *     type: {
+ *       list: address
+ *     }
+ *   }
+ * }, {
+ *   primaryKeys: ['name']
+ * });
+ */
+class Type {
+
+    constructor(name, fields) {
+        var type = this;
+        if (!name || !name.length) {
+            throw new TypeError('Type expects parameter 1 to be of type '
+                + '"string": @"' + name + '"');
+        }
+        if (!fields || !Object.keys(fields).length) {
+            throw new TypeError('Type expects parameter 2 to be an object of '
+                + 'field:type values; type: ' + name);
+        }
+        type.name = name;
+        type.fields = {};
+        for (let field in fields) {
+            let definition = fields[field];
+            type.fields[field] = Cassandra.Schema.normalizeType(definition.type || definition);
+        }
+    }
+
+    /**
+     * List the types this type depends on, followed by the type itself,
+     * in the order they need to be created
+     * @returns {array} types
+     */
+    dependencies() {
+        var type = this;
+        var types = [];
+        for (let field in type.fields) {
+            for (let dependency of Type.dependencies(type.fields[field])) {
+                if (types.indexOf(dependency) === -1) {
+                    types.push(dependency);
+                }
+            }
+        }
+        types.push(type);
+        return types;
+    }
+
+    /**
+     * Builds the create query of the type, the type and field names are quoted
+     * where needed so their case is kept
+     * @param {string} keyspace - the keyspace to create the type in
+     * @returns {string} querystring
+     */
+    createQuery(keyspace) {
+        var type = this;
+        return format(
+            'CREATE TYPE IF NOT EXISTS %s.%s (%s)',
+            keyspace,
+            Cassandra.Schema.quote(type.name),
+            Object.keys(type.fields).map((field) => {
+                return Cassandra.Schema.quote(field) + ' ' + Cassandra.Schema.toCqlType(type.fields[field]);
+            }).join(', ')
+        );
+    }
+
+    /**
+     * Validates a value against the type's fields, null values are allowed
+     * @param {object} value - the value to validate
+     * @param {string} path - the column or field path being validated, used in errors
+     * @throws TypeError - the value is not an object or has unknown fields
+     */
+    validate(value, path) {
+        var errors = this.errors(value, path);
+        if (errors.length) {
+            throw errors[0];
+        }
+    }
+
+    /**
+     * Lists every error of a value against the type's fields, see {@link Cassandra.Type#validate}
+     * @param {object} value - the value to validate
+     * @param {string} path - the column or field path being validated, used in errors
+     * @returns {array} errors - TypeErrors, empty if the value is valid
+     */
+    errors(value, path) {
+        var type = this;
+        var errors = [];
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return [new TypeError(format('Invalid value for type "%s", expected an '
+                + 'object > column: %s', type.name, path))];
+        }
+        for (let field in value) {
+            if (!type.fields[field]) {
+                errors.push(new TypeError(format('Invalid value for type "%s", unknown '
+                    + 'field "%s" > column: %s', type.name, field, path)));
+            }
+        }
+        for (let field in type.fields) {
+            errors = errors.concat(Type.errors(type.fields[field], value[field], path + '.' + field));
+        }
+        return errors;
+    }
+
+    /**
+     * List the types used by a type descriptor, see {@link Cassandra.Schema.normalizeType},
+     * in the order they need to be created
+     * @param {string|object|Cassandra.Type} descriptor - the type descriptor
+     * @returns {array} types
+     */
+    static dependencies(descriptor) {
+        if (descriptor instanceof Type) {
+            return descriptor.dependencies();
+        }
+        if (typeof descriptor === 'string') {
+            return [];
+        }
+        var elements = descriptor.map || descriptor.tuple || [descriptor.set || descriptor.list || descriptor.frozen];
+        return elements.reduce((types, element) => types.concat(Type.dependencies(element)), []);
+    }
+
+    /**
+     * Validates the user-defined types found in a value against a type descriptor
+     * @param {string|object|Cassandra.Type} descriptor - the type descriptor
+     * @param {mixed} value - the value to validate
+     * @param {string} path - the column or field path being validated, used in errors
+     * @throws TypeError - a user-defined type value is invalid
+     */
+    static validate(descriptor, value, path) {
+        var errors = Type.errors(descriptor, value, path);
+        if (errors.length) {
+            throw errors[0];
+        }
+    }
+
+    /**
+     * Lists every error of the user-defined types found in a value, see {@link Cassandra.Type.validate}
+     * @param {string|object|Cassandra.Type} descriptor - the type descriptor
+     * @param {mixed} value - the value to validate
+     * @param {string} path - the column or field path being validated, used in errors
+     * @returns {array} errors - TypeErrors, empty if the value is valid
+     */
+    static errors(descriptor, value, path) {
+        var errors = [];
+        if (null === value || undefined === value || typeof descriptor === 'string') {
+            return errors;
+        }
+        if (descriptor instanceof Type) {
+            return descriptor.errors(value, path);
+        }
+        if (descriptor.frozen) {
+            return Type.errors(descriptor.frozen, value, path);
+        }
+        if (descriptor.tuple) {
+            let elements = value instanceof Cassandra.types.Tuple ? value.elements : value;
+            descriptor.tuple.forEach((element, index) => {
+                errors = errors.concat(Type.errors(element, elements[index], path + '[' + index + ']'));
+            });
+            return errors;
+        }
+        if (descriptor.map) {
+            for (let key in value) {
+                errors = errors.concat(Type.errors(descriptor.map[1], value[key], path + '.' + key));
+            }
+            return errors;
+        }
+        Array.prototype.forEach.call(value, (item, index) => {
+            errors = errors.concat(Type.errors(descriptor.set || descriptor.list, item, path + '[' + index + ']'));
+        });
+        return errors;
+    }
+}
+
+module.exports = Type;
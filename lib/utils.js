@@ -32,3 +32,108 @@ exports.getArgCount = (args) => {
 exports.getFilteredArgs = (args, filter) => {
     return (args.length === 1 ? [args[0]] : Array.apply(null, args)).filter(filter || Boolean);
 };
+
+/**
+ * Runs an async operation and reports its result through the callback if one
+ * was given, otherwise through the returned Promise, never both
+ * @param {function} callback - an optional callback receiving err, result
+ * @param {function} fn - the operation, receives a done(err, result) function
+ * @returns {Promise|undefined} a Promise if no callback was given
+ * @example
+ * insert(queryObject, callback) {
+ *   return callbackOrPromise(callback, (done) => driver.execute(query, done));
+ * }
+ */
+exports.callbackOrPromise = (callback, fn) => {
+    if (typeof callback === 'function') {
+        fn(callback);
+        return;
+    }
+    return new Promise((resolve, reject) => {
+        fn((err, result) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve(result);
+        });
+    });
+};
+
+/**
+ * Splits an arguments object into its values and the trailing callback,
+ * trailing empty arguments are ignored the same as {@link getArgCount}
+ * @param {object} arguments - an arguments object
+ * @returns {object} {args: array, callback: function|undefined}
+ * @example
+ * //args = arguments[1, null, callback, null]
+ * getCallbackArgs(args); //{args: [1, null], callback: callback}
+ * //args = arguments[1, 2]
+ * getCallbackArgs(args); //{args: [1, 2], callback: undefined}
+ */
+exports.getCallbackArgs = (args) => {
+    var values = Array.prototype.slice.call(args, 0, exports.getArgCount(args));
+    var callback;
+    if (typeof values[values.length - 1] === 'function') {
+        callback = values.pop();
+    }
+    return {
+        args: values,
+        callback: callback
+    };
+};
+
+/**
+ * Converts a list of columns into a delete object, delete projections may be either
+ * @param {array} columns - the columns to delete
+ * @returns {object} deleteObject - column:true
+ * @example
+ * toDeleteObject(['name', 'age']); //{name: true, age: true}
+ */
+exports.toDeleteObject = (columns) => {
+    var deleteObject = {};
+    for (let column of columns) {
+        deleteObject[column] = true;
+    }
+    return deleteObject;
+};
+
+/**
+ * Runs hook functions one after another, each either takes a next(err) callback
+ * as its second argument or returns, optionally a Promise. The first error,
+ * thrown or rejected, stops the remaining hooks and is passed to the callback
+ * @param {array} hooks - a list of hook functions
+ * @param {object} target - the "this" of the hooks
+ * @param {object} context - passed to the hooks
+ * @param {function} callback - receives err
+ * @example
+ * runHooks([(context) => console.log(context.query)], model, {query: query}, callback);
+ */
+exports.runHooks = (hooks, target, context, callback) => {
+    var run = (index) => {
+        var hook = hooks[index];
+        var called = false;
+        var next = (err) => {
+            if (called) {
+                return;
+            }
+            called = true;
+            //continue outside of the hook's try and Promise, so later errors aren't caught by them
+            process.nextTick(() => err ? callback(err) : run(index + 1));
+        };
+        var result;
+        if (!hook) {
+            return callback(null);
+        }
+        try {
+            result = hook.length > 1 ? hook.call(target, context, next) : hook.call(target, context);
+        } catch (err) {
+            return next(err);
+        }
+        if (hook.length < 2) {
+            Promise.resolve(result).then(() => next(), (err) => {
+                next(err || new Error('Hook rejected without a reason'));
+            });
+        }
+    };
+    run(0);
+};
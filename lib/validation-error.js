@@ -0,0 +1,38 @@
+/**
+ * Vertebrae Inc
+ * @package Cassandra-ORM
+ * @exports ValidationError
+ */
+"use strict";
+
+const format = require('util').format;
+
+/**
+ * Reports every failed column validation of a model instance, insert or update
+ * at once, see {@link Cassandra.Schema#validate}
+ * @memberof Cassandra
+ * @param {string} modelName - the name of the model the values were validated for
+ * @param {array} errors - a list of {column, rule, message, value}
+ * @example
+ * try {
+ *   new UserModel({name: 'foo', age: 12});
+ * } catch (err) {
+ *   //err.message: Validation failed > columnFamily: users; age: must be at least 18
+ *   //err.errors: [{column: 'age', rule: 'min', message: 'must be at least 18', value: 12}]
+ * }
+ */
+class ValidationError extends Error {
+
+    constructor(modelName, errors) {
+        super(format(
+            'Validation failed > columnFamily: %s; %s',
+            modelName,
+            errors.map((error) => error.column + ': ' + error.message).join('; ')
+        ));
+        this.name = 'ValidationError';
+        this.model = modelName;
+        this.errors = errors;
+    }
+}
+
+module.exports = ValidationError;
@@ -9,6 +9,10 @@ const Cassandra = require('../');
 const keyspaceName = 'testkeyspace';
 const async = require('async');
 const format = require('util').format;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
 const keyspaceConfig = {
     withReplication: {
         class: 'SimpleStrategy',
@@ -24,6 +28,12 @@ const config = {
 
 config.keyspace[keyspaceName] = keyspaceConfig;
 const cassandra = new Cassandra(config);
+//errors are passed to the rejection, tested like assert.throws against the error's string
+const assertRejects = (promise, pattern) => {
+    return promise.then(() => {
+        throw new Error('Expected the promise to be rejected');
+    }, (err) => assert(pattern.test(String(err)), String(err)));
+};
 
 describe('Cassandra Class >', () => {
     var schema, TestModel;
@@ -80,6 +90,9 @@ describe('Cassandra >', function (done) {
         });
         cassandra.connect();
     });
+    it('should resolve the readiness of models queued before connecting', () => {
+        return cassandra.ready();
+    });
     if (CLEAN) {
         after((done) => {
             async.parallel([
@@ -104,6 +117,33 @@ describe('Cassandra >', function (done) {
                 done();
             });
         });
+        it ('should reject the promise on failed connection attempts', () => {
+            return new Cassandra({
+                contactPoints: ['127.0.4444.4444'],
+                keyspace: {testfail: keyspaceConfig}
+            }).connect().then(() => {
+                throw new Error('Cassandra should not have connected');
+            }, (err) => {
+                assert(err instanceof Error);
+            });
+        });
+        it ('should resolve once connected when connecting without a callback', () => {
+            var cassandra2 = new Cassandra({keyspace: {testfail: keyspaceConfig}});
+            return cassandra2.connect().then(() => {
+                assert(cassandra2.connected);
+                cassandra2.driver.shutdown();
+            });
+        });
+        it ('should return the instance when connecting with a callback', (done) => {
+            var cassandra2 = Cassandra.connect({keyspace: {testfail: keyspaceConfig}}, (err) => {
+                if (err) {
+                    return done(err);
+                }
+                assert(cassandra2 instanceof Cassandra);
+                cassandra2.driver.shutdown();
+                done();
+            });
+        });
         it ('should be able to open up mutliple connections', (done) => {
             cassandra.connect(done);
         });
@@ -296,6 +336,26 @@ describe('Cassandra >', function (done) {
                     });
                 });
             });
+            it ('should be able to create a schema using user-defined types', () => {
+                assert.doesNotThrow(() => {
+                    new Cassandra.Schema({
+                        name: 'text',
+                        home: new Cassandra.Type('address', {
+                            street: 'text'
+                        }),
+                        emails: {
+                            type: {
+                                map: ['text', new Cassandra.Type('email', {
+                                    address: 'text',
+                                    verified: 'boolean'
+                                })]
+                            }
+                        }
+                    }, {
+                        primaryKeys: ['name']
+                    });
+                });
+            });
             it ('should be able to create a schema using set types', () => {
                 assert.doesNotThrow(() => {
                     new Cassandra.Schema({
@@ -541,6 +601,32 @@ describe('Cassandra >', function (done) {
                 done();
             });
         });
+        it ('should be able to wait for a model to be ready without a callback', (done) => {
+            var ReadyModel = cassandra.model('testready', testPartition);
+            ReadyModel.ready().then(() => {
+                cassandra.driver.metadata.getTable(cassandra.keyspace, ReadyModel.name, (err, table) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    assert.equal(table.name, ReadyModel.name);
+                    cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, ReadyModel.name), done);
+                });
+            }, done);
+        });
+        it ('should be able to wait for a model to be ready with a callback', (done) => {
+            testPartitionModel.ready(done);
+        });
+        it ('should be ready again once later schema queries succeed', (done) => {
+            var model = testPartitionModel.model;
+            model._executeSchema([[format('ALTER TABLE %s.%s DROP missing', cassandra.keyspace, model.name)]], (err) => {
+                assert(err instanceof Error);
+                model.ready((err) => {
+                    assert(err instanceof Error);
+                    model._executeSchema([[model._createTable(false)]]);
+                    model.ready(done);
+                });
+            });
+        });
         it ('should fail at buiding the schema after instantiation', () => {
             assert.throws(() => testPartitionModel.model._buildSchema());
         });
@@ -754,6 +840,10 @@ describe('Cassandra >', function (done) {
                         done(err);
                     });
                 });
+                it ('should return a promise when inserting without a callback', () => {
+                    //upserts a row from the basic insert, leaving row counts intact
+                    return TestModel.insert({username: 'baz', age: 32, name: 'bars'});
+                });
                 it ('should be able to insert list types', (done) => {
                     var check = (err) => {
                         if (err) {
@@ -806,6 +896,12 @@ describe('Cassandra >', function (done) {
             });
 
             describe('FindOne >', () => {
+                it ('should return a promise resolving a single row when no callback is passed', () => {
+                    return TestModel.findOne({username: 'foo'}).then((row) => {
+                        assert(row instanceof TestModel);
+                        assert.equal(row.username, 'foo');
+                    });
+                });
                 it ('should be able to find a single row and return an object', (done) => {
                     TestModel.findOne({username: 'foo'}, (err, row) => {
                         if (err) {
@@ -849,8 +945,26 @@ describe('Cassandra >', function (done) {
             });
 
             describe('Find >', () => {//{{{
-                it ('should throw an error trying to perform a find without a callback', () => {
-                    assert.throws(() => TestModel.find({username: 'foo', age: 30}));
+                it ('should return a promise when performing a find without a callback', () => {
+                    return TestModel.find({username: 'foo', age: 30}).then((rows) => {
+                        assert.equal(rows.length, 1);
+                        assert(rows[0] instanceof TestModel);
+                        assert.equal(rows[0].username, 'foo');
+                    });
+                });
+                it ('should reject the promise when a find fails without a callback', () => {
+                    return TestModel.find({username: 'foo'}, {limit: 'bad'}).then(() => {
+                        throw new Error('find should have failed');
+                    }, (err) => {
+                        assert(err instanceof Error);
+                    });
+                });
+                it ('should reject the promise with invalid query columns', () => {
+                    return TestModel.find({foo: 'bar'}).then(() => {
+                        throw new Error('find should have failed');
+                    }, (err) => {
+                        assert.equal(err.message, 'Not a valid queryObject, could not find column: foo, model: teststatic');
+                    });
                 });
                 it ('should be able to perform a basic find with queryObject', (done) => {
                     TestModel.find({username: 'foo', age: 30}, (err, rows) => {
@@ -1417,8 +1531,10 @@ describe('Cassandra >', function (done) {
             });
 
             describe('Delete >', () => {//{{{
-                it ('should throw an error trying to perform a delete without a callback', () => {
-                    assert.throws(() => TestModel.delete({username: 'foo', age: 30}));
+                it ('should return a promise when deleting without a callback', () => {
+                    var promise = TestModel.delete({username: 'foo', age: 30});
+                    assert(promise instanceof Promise);
+                    return promise;
                 });
 
                 it ('should be able to delete row(s) by query', (done) => {
@@ -1627,6 +1743,12 @@ describe('Cassandra >', function (done) {
                         usernames: 1
                     }, check);
                 });
+                it ('should be able to delete a list of columns', () => {
+                    return testMapModel.update({name: 'MapType'}, {usernames: {$set: {foo: 'bar'}}})
+                        .then(() => testMapModel.delete({name: 'MapType'}, ['usernames']))
+                        .then(() => testMapModel.findOne({name: 'MapType'}))
+                        .then((row) => assert.deepEqual(row.usernames, {}));
+                });
             });//}}}
         });
     });
@@ -1763,6 +1885,25 @@ describe('Cassandra >', function (done) {
 
         describe('Methods >', () => {
             describe('Sync >', () => {
+                it ('should return a promise when syncing, saving and deleting without a callback', () => {
+                    var user = new UserModel({
+                            hex: Cassandra.uuid(),
+                            names: 'promiseUser',
+                            username: 'promise'
+                        });
+                    return user.sync()
+                        .then(() => {
+                            user.username = 'promised';
+                            return user.save();
+                        })
+                        .then(() => UserModel.findOne({names: 'promiseUser'}))
+                        .then((row) => {
+                            assert.equal(row.username, 'promised');
+                            return user.delete();
+                        })
+                        .then(() => UserModel.findOne({names: 'promiseUser'}))
+                        .then((row) => assert.equal(row, null));
+                });
                 it ('should only sync fields that exist in the schema model', (done) => {
                     var user = new UserModel({
                             hex: Cassandra.uuid(),
@@ -1923,6 +2064,20 @@ describe('Cassandra >', function (done) {
                         });
                     });
                 });
+                it('should be able to delete a list of columns from the instance\'s column family', () => {
+                    var user = new UserModel({
+                            hex: Cassandra.uuid(),
+                            names: 'primTest3',
+                            username: 'primTestUserName3'
+                        });
+                    return user.save()
+                        .then(() => user.delete(['username']))
+                        .then(() => UserModel.findOne({names: 'primTest3'}))
+                        .then((row) => {
+                            assert.equal(row.names, 'primTest3');
+                            assert.equal(row.username, null);
+                        });
+                });
                 it('should be able to delete an entire row from a table', (done) => {
                     var user = new UserModel({
                             hex: Cassandra.uuid(),
@@ -1987,6 +2142,1864 @@ describe('Cassandra >', function (done) {
         });
     });
 
+    describe('User-Defined Types >', () => {
+        var point = new Cassandra.Type('point', {
+                lat: 'double',
+                lng: 'double'
+            });
+        var address = new Cassandra.Type('address', {
+                street: 'text',
+                zipCode: 'int',
+                location: point
+            });
+        var TypeModel;
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                name: 'text',
+                home: address,
+                previous: {
+                    type: {
+                        list: address
+                    }
+                }
+            }, {
+                primaryKeys: ['name']
+            });
+            TypeModel = cassandra.model('testudt', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                async.series([
+                    (next) => cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testudt'), next),
+                    (next) => cassandra.driver.execute(format('DROP TYPE %s.%s', cassandra.keyspace, 'address'), next),
+                    (next) => cassandra.driver.execute(format('DROP TYPE %s.%s', cassandra.keyspace, 'point'), next)
+                ], done);
+            });
+        }
+        it ('should create nested types before the types and tables using them', () => {
+            assert.deepEqual(TypeModel.schema.userTypes(), [point, address]);
+            assert.deepEqual(TypeModel._createTypes(false), [
+                'CREATE TYPE IF NOT EXISTS testkeyspace.point (lat double, lng double)',
+                'CREATE TYPE IF NOT EXISTS testkeyspace.address (street text, "zipCode" int, location frozen<point>)'
+            ]);
+            assert.equal(TypeModel.schema.cqlType('home'), 'frozen<address>');
+            assert.equal(TypeModel.schema.cqlType('previous'), 'list<frozen<address>>');
+        });
+        it ('should quote the type and field names where needed', () => {
+            var type = new Cassandra.Type('geoPoint', {order: 'int', lat: 'double'});
+            assert.equal(type.createQuery('testkeyspace'),
+                'CREATE TYPE IF NOT EXISTS testkeyspace."geoPoint" ("order" int, lat double)');
+            assert.equal(Cassandra.Schema.toCqlType({list: type}), 'list<frozen<"geoPoint">>');
+        });
+        it ('should be able to insert and find user-defined type values', () => {
+            var home = {street: 'foo st', zipCode: 12345, location: {lat: 1.5, lng: 2.5}};
+            return TypeModel.insert({name: 'foo', home: home, previous: [{street: 'bar st', location: null}]})
+                .then(() => TypeModel.findOne({name: 'foo'}))
+                .then((row) => {
+                    assert.deepEqual(row.home, home);
+                    assert.equal(row.previous[0].street, 'bar st');
+                });
+        });
+        it ('should introspect user-defined type columns', () => {
+            return cassandra.introspect('testudt').then((schema) => {
+                assert.equal(schema.cqlType('home'), 'frozen<address>');
+                assert.equal(schema.cqlType('previous'), 'list<frozen<address>>');
+                assert.equal(schema.columnTypes.home.createQuery('testkeyspace'), address.createQuery('testkeyspace'));
+                assert.deepEqual(schema.columnTypes.home.fields.location.fields, point.fields);
+            });
+        });
+        it ('should fail at creating an instance with unknown type fields', () => {
+            assert.throws(() => {
+                new TypeModel({name: 'foo', home: {street: 'foo st', zip: 1}});
+            }, /Invalid value for type "address", unknown field "zip" > column: home$/);
+        });
+        it ('should fail at creating an instance with invalid nested type values', () => {
+            assert.throws(() => {
+                new TypeModel({name: 'foo', previous: [{location: 'here'}]});
+            }, /Invalid value for type "point", expected an object > column: previous\[0\]\.location$/);
+        });
+        it ('should report every invalid type field of an instance at once', () => {
+            assert.throws(() => {
+                new TypeModel({name: 'foo', home: {street: 'foo st', zip: 1, location: 'here'}});
+            }, (err) => {
+                assert(err instanceof Cassandra.ValidationError);
+                assert.deepEqual(err.errors.map((error) => [error.column, error.rule, error.message]), [
+                    ['home', 'type', 'Invalid value for type "address", unknown field "zip" > column: home'],
+                    ['home', 'type', 'Invalid value for type "point", expected an object > column: home.location']
+                ]);
+                return true;
+            });
+        });
+        it ('should fail at creating a type with an unsupported field type', () => {
+            assert.throws(() => {
+                new Cassandra.Type('bad', {foo: 'bar'});
+            }, TypeError);
+        });
+    });
+
+    describe('Frozen and Nested Collections >', () => {
+        var FrozenModel;
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                tags: {
+                    type: {
+                        frozen: {
+                            set: 'text'
+                        }
+                    }
+                },
+                scores: {
+                    type: {
+                        map: ['text', {frozen: {list: 'int'}}]
+                    }
+                },
+                point: {
+                    type: {
+                        tuple: ['int', 'int']
+                    }
+                }
+            }, {
+                primaryKeys: ['tags']
+            });
+            FrozenModel = cassandra.model('testfrozen', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testfrozen'), done);
+            });
+        }
+        it ('should declare frozen, nested and tuple column types', () => {
+            var schema = FrozenModel.schema;
+            assert.equal(schema.cqlType('tags'), 'frozen<set<text>>');
+            assert.equal(schema.cqlType('scores'), 'map<text, frozen<list<int>>>');
+            assert.equal(schema.cqlType('point'), 'frozen<tuple<int, int>>');
+        });
+        it ('should parse frozen, nested and tuple column types', () => {
+            assert.deepEqual(Cassandra.Schema.parseType('map<text, frozen<list<int>>>'), {
+                map: ['text', {frozen: {list: 'int'}}]
+            });
+            assert.deepEqual(Cassandra.Schema.parseType('frozen<tuple<int, int>>'), {
+                tuple: ['int', 'int']
+            });
+        });
+        it ('should fail at qualifying a schema with non-frozen nested collections', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    name: 'text',
+                    scores: {
+                        type: {
+                            map: ['text', {list: 'int'}]
+                        }
+                    }
+                }, {
+                    primaryKeys: ['name']
+                });
+            }, /nested collections must be frozen/);
+        });
+        it ('should fail at qualifying a schema with non-frozen collections in the primary keys', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    tags: {
+                        type: {
+                            set: 'text'
+                        }
+                    }
+                }, {
+                    primaryKeys: ['tags']
+                });
+            }, /collections must be frozen to be used in primary keys/);
+        });
+        it ('should be able to insert and find by frozen values', () => {
+            var point = new Cassandra.types.Tuple(1, 2);
+            return FrozenModel.insert({tags: ['a', 'b'], scores: {foo: [1, 2]}, point: point})
+                .then(() => FrozenModel.findOne({tags: ['a', 'b']}))
+                .then((row) => {
+                    assert.deepEqual(row.scores, {foo: [1, 2]});
+                    assert.deepEqual(row.point.elements, [1, 2]);
+                });
+        });
+        it ('should replace frozen values as a whole on update', () => {
+            return FrozenModel.update({tags: ['a', 'b']}, {scores: {bar: [3]}, point: new Cassandra.types.Tuple(3, 4)})
+                .then(() => FrozenModel.findOne({tags: ['a', 'b']}))
+                .then((row) => {
+                    assert.deepEqual(row.scores, {foo: [1, 2], bar: [3]});
+                    assert.deepEqual(row.point.elements, [3, 4]);
+                });
+        });
+        it ('should fail at updating frozen values with collection operators', () => {
+            return assertRejects(FrozenModel.update({tags: ['a', 'b']}, {tags: {$append: ['c']}}),
+                /frozen values can only be replaced as a whole; column: tags, operator: \$append$/);
+        });
+    });
+
+    describe('Counters >', () => {
+        var CounterModel;
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                page: 'text',
+                hits: 'counter',
+                errors: 'counter'
+            }, {
+                primaryKeys: ['page']
+            });
+            CounterModel = cassandra.model('testcounters', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testcounters'), done);
+            });
+        }
+        it ('should fail at qualifying a counter table with non-counter columns', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    page: 'text',
+                    hits: 'counter',
+                    title: 'text'
+                }, {
+                    primaryKeys: ['page']
+                });
+            }, /^Error: Counter tables may only have counter columns outside of the primary keys; column: title$/);
+        });
+        it ('should fail at qualifying a counter table with counter primary keys', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    hits: 'counter'
+                }, {
+                    primaryKeys: ['hits']
+                });
+            }, /counter columns can not be used in primary keys/);
+        });
+        it ('should fail at inserting into a counter table', () => {
+            return assertRejects(CounterModel.insert({page: 'home'}),
+                /Could not insert into counter table/);
+        });
+        it ('should fail at setting counter values', () => {
+            return assertRejects(CounterModel.update({page: 'home'}, {hits: 1}),
+                /counters can only be updated with \$incr or \$decr; column: hits$/);
+        });
+        it ('should be able to increment and decrement counters', () => {
+            return CounterModel.update({page: 'home'}, {hits: {$incr: 3}, errors: {$decr: 1}})
+                .then(() => CounterModel.findOne({page: 'home'}))
+                .then((row) => {
+                    assert.equal(row.hits.toNumber(), 3);
+                    assert.equal(row.errors.toNumber(), -1);
+                });
+        });
+        it ('should save local counter changes as increments', () => {
+            return CounterModel.findOne({page: 'home'})
+                .then((row) => {
+                    row.hits = row.hits.add(2);
+                    row.errors = 0;
+                    return row.save();
+                })
+                .then(() => CounterModel.findOne({page: 'home'}))
+                .then((row) => {
+                    assert.equal(row.hits.toNumber(), 5);
+                    assert.equal(row.errors.toNumber(), 0);
+                });
+        });
+        it ('should add the local counter values when syncing a new instance', () => {
+            var instance = new CounterModel({page: 'about', hits: 2});
+            return instance.sync()
+                .then(() => CounterModel.findOne({page: 'about'}))
+                .then((row) => {
+                    assert.equal(row.hits.toNumber(), 2);
+                });
+        });
+        it ('should only add the counter changes when syncing an instance again', () => {
+            var instance = new CounterModel({page: 'contact', hits: 3});
+            return instance.sync()
+                .then(() => instance.sync())
+                .then(() => CounterModel.findOne({page: 'contact'}))
+                .then((row) => assert.equal(row.hits.toNumber(), 3))
+                .then(() => {
+                    instance.hits = 5;
+                    return instance.sync();
+                })
+                .then(() => CounterModel.findOne({page: 'contact'}))
+                .then((row) => assert.equal(row.hits.toNumber(), 5));
+        });
+    });
+
+    describe('Static Columns >', () => {
+        var StaticModel;
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                tenant: 'text',
+                username: 'text',
+                plan: {
+                    type: 'text',
+                    static: true
+                },
+                age: 'int'
+            }, {
+                primaryKeys: ['tenant', 'username']
+            });
+            StaticModel = cassandra.model('teststaticcolumns', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'teststaticcolumns'), done);
+            });
+        }
+        it ('should declare static columns', () => {
+            assert(/plan text STATIC/.test(StaticModel._createTable(false)));
+        });
+        it ('should fail at qualifying static columns without clustering keys', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    tenant: 'text',
+                    plan: {
+                        type: 'text',
+                        static: true
+                    }
+                }, {
+                    primaryKeys: ['tenant']
+                });
+            }, /^Error: Static columns require clustering keys in the primary keys; column: plan$/);
+        });
+        it ('should fail at qualifying static columns in the primary keys', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    tenant: 'text',
+                    plan: {
+                        type: 'text',
+                        static: true
+                    }
+                }, {
+                    primaryKeys: ['tenant', 'plan']
+                });
+            }, /static columns can not be used in primary keys/);
+        });
+        it ('should be able to update static columns with only the partition key', () => {
+            return StaticModel.insert({tenant: 'foo', username: 'bar', age: 30})
+                .then(() => StaticModel.insert({tenant: 'foo', username: 'baz', age: 31}))
+                .then(() => StaticModel.update({tenant: 'foo'}, {plan: 'pro'}))
+                .then(() => StaticModel.find({tenant: 'foo'}))
+                .then((rows) => {
+                    assert.equal(rows.length, 2);
+                    rows.forEach((row) => assert.equal(row.plan, 'pro'));
+                });
+        });
+        it ('should fail at updating other columns with only the partition key', () => {
+            return assertRejects(StaticModel.update({tenant: 'foo'}, {plan: 'free', age: 1}),
+                /only static columns can be updated without the clustering keys; column: age/);
+        });
+    });
+
+    describe('Table Options >', () => {
+        var OptionsModel;
+        var options = {
+                primaryKeys: ['name'],
+                default_time_to_live: 3600,
+                gc_grace_seconds: 86400,
+                bloom_filter_fp_chance: 0.05,
+                caching: {
+                    keys: 'ALL',
+                    rows_per_partition: 'NONE'
+                },
+                compression: {
+                    class: 'LZ4Compressor'
+                },
+                speculative_retry: '99PERCENTILE',
+                comment: "the table's comment"
+            };
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                name: 'text',
+                age: 'int'
+            }, options);
+            OptionsModel = cassandra.model('testoptions', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testoptions'), done);
+            });
+        }
+        it ('should fail at qualifying a schema with invalid table options', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    name: 'text'
+                }, {
+                    primaryKeys: ['name'],
+                    gc_grace_seconds: -1
+                });
+            }, /^Error: Invalid table option, not supported: gc_grace_seconds = -1$/);
+        });
+        it ('should create the table with the table options', (done) => {
+            cassandra.driver.metadata.getTable(cassandra.keyspace, 'testoptions', (err, table) => {
+                if (err) {
+                    return done(err);
+                }
+                assert.equal(table.defaultTtl, 3600);
+                assert.equal(table.gcGraceSeconds, 86400);
+                assert.equal(table.bloomFilterFalsePositiveChance, 0.05);
+                assert.equal(table.comment, "the table's comment");
+                done();
+            });
+        });
+        it ('should have no table options to sync once created', () => {
+            return OptionsModel.syncSchema({dryRun: true}).then((queries) => {
+                assert.deepEqual(queries, []);
+            });
+        });
+        it ('should alter changed table options when syncing', () => {
+            var schema = new Cassandra.Schema({
+                name: 'text',
+                age: 'int'
+            }, Object.assign({}, options, {gc_grace_seconds: 3600, comment: 'changed'}));
+            var ChangedModel = new Cassandra.Model.ColumnFamily(cassandra, 'testoptions', schema);
+            return ChangedModel.syncSchema({dryRun: true}).then((queries) => {
+                assert.deepEqual(queries, [
+                    "ALTER TABLE testkeyspace.testoptions WITH gc_grace_seconds = 3600 AND comment = 'changed'"
+                ]);
+            });
+        });
+        it ('should compare speculative retry percentiles in either spelling', () => {
+            var schema = new Cassandra.Schema({
+                name: 'text',
+                age: 'int'
+            }, Object.assign({}, options, {speculative_retry: '99.0p'}));
+            var SpelledModel = new Cassandra.Model.ColumnFamily(cassandra, 'testoptions', schema);
+            return SpelledModel.syncSchema({dryRun: true}).then((queries) => {
+                assert.deepEqual(queries, []);
+            });
+        });
+    });
+
+    describe('Validators >', () => {
+        var ValidatedModel;
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                name: {
+                    type: 'text',
+                    required: true
+                },
+                age: {
+                    type: 'int',
+                    min: 18,
+                    max: 99
+                },
+                role: {
+                    type: 'text',
+                    enum: ['admin', 'user']
+                },
+                email: {
+                    type: 'text',
+                    match: /^[^@]+@[^@]+$/,
+                    maxLength: 32
+                },
+                nick: {
+                    type: 'text',
+                    validate: (value, object) => value !== object.name || 'must differ from name'
+                }
+            }, {
+                primaryKeys: ['name']
+            });
+            ValidatedModel = cassandra.model('testvalidators', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testvalidators'), done);
+            });
+        }
+        it ('should fail at qualifying a schema with invalid validator settings', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    name: {
+                        type: 'text',
+                        match: 'foo'
+                    }
+                }, {
+                    primaryKeys: ['name']
+                });
+            }, /^Error: Invalid validator, not supported: match; column: name$/);
+        });
+        it ('should report all failures when creating an instance', () => {
+            try {
+                new ValidatedModel({age: 12, role: 'guest', email: 'foo', nick: 'foo'});
+            } catch (err) {
+                assert(err instanceof Cassandra.ValidationError);
+                assert.equal(err.model, 'testvalidators');
+                assert.deepEqual(err.errors.map((error) => error.column + ':' + error.rule),
+                    ['name:required', 'age:min', 'email:match', 'role:enum']);
+                return;
+            }
+            assert.fail('did not throw a ValidationError');
+        });
+        it ('should pass the whole object to custom validators', () => {
+            assert.throws(() => {
+                new ValidatedModel({name: 'foo', nick: 'foo'});
+            }, /^ValidationError: Validation failed > columnFamily: testvalidators; nick: must differ from name$/);
+        });
+        it ('should validate insert values', () => {
+            return assertRejects(ValidatedModel.insert({name: 'foo', age: 100}),
+                /age: must be at most 99$/);
+        });
+        it ('should validate update values', () => {
+            return assertRejects(ValidatedModel.update({name: 'foo'}, {role: 'guest'}),
+                /role: must be one of \["admin","user"\]$/);
+        });
+        it ('should validate instances on save', () => {
+            var instance = new ValidatedModel({name: 'foo', age: 20});
+            return instance.save()
+                .then(() => {
+                    instance.age = 17;
+                    return instance.save();
+                })
+                .then(() => assert.fail('did not reject with a ValidationError'), (err) => {
+                    assert(err instanceof Cassandra.ValidationError);
+                    assert.equal(err.errors[0].column, 'age');
+                });
+        });
+    });
+
+    describe('Type Coercion >', () => {
+        var CoercedModel;
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                id: 'uuid',
+                age: 'int',
+                born: 'timestamp',
+                tags: {
+                    type: {
+                        set: 'int'
+                    }
+                },
+                scores: {
+                    type: {
+                        map: ['text', 'double']
+                    }
+                }
+            }, {
+                primaryKeys: ['id']
+            });
+            CoercedModel = cassandra.model('testcoercion', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testcoercion'), done);
+            });
+        }
+        it ('should convert instance values to their column types', () => {
+            var id = Cassandra.uuid().toString();
+            var instance = new CoercedModel({id: id, age: '5', born: '2000-01-02T03:04:05Z', tags: ['1', 2, '2'], scores: {a: '1.5'}});
+            assert(instance.id instanceof Cassandra.types.Uuid);
+            assert.equal(instance.id.toString(), id);
+            assert.strictEqual(instance.age, 5);
+            assert(instance.born instanceof Date);
+            assert.equal(instance.born.getTime(), Date.UTC(2000, 0, 2, 3, 4, 5));
+            assert.deepEqual(instance.tags, [1, 2]);
+            assert.deepEqual(instance.scores, {a: 1.5});
+            return instance.sync()
+                .then(() => CoercedModel.findOne({id: id}))
+                .then((row) => {
+                    assert.equal(row.age, 5);
+                    assert.deepEqual(row.tags, [1, 2]);
+                });
+        });
+        it ('should report values that can not be converted', () => {
+            return CoercedModel.insert({id: Cassandra.uuid(), age: 'abc', tags: 'foo'})
+                .then(() => assert.fail('did not reject with a ValidationError'), (err) => {
+                    assert(err instanceof Cassandra.ValidationError);
+                    assert.deepEqual(err.errors.map((error) => error.column + ':' + error.rule), ['age:type', 'tags:type']);
+                    assert.equal(err.errors[0].message, 'expected int, got \'abc\'');
+                });
+        });
+        it ('should pass values that can not be converted to the callback', (done) => {
+            var result = CoercedModel.update({id: Cassandra.uuid()}, {age: 'abc'}, (err) => {
+                assert(err instanceof Cassandra.ValidationError);
+                assert.deepEqual(err.errors.map((error) => error.column + ':' + error.rule), ['age:type']);
+                done();
+            });
+            assert.strictEqual(result, undefined);
+        });
+        it ('should convert update and query values', () => {
+            var id = Cassandra.uuid();
+            return CoercedModel.insert({id: id, age: 1})
+                .then(() => CoercedModel.update({id: id.toString()}, {age: '2', tags: {$add: ['3']}}))
+                .then(() => CoercedModel.find({id: id.toString(), tags: {$contains: '3'}}, {allowFiltering: true}))
+                .then((rows) => {
+                    assert.equal(rows.length, 1);
+                    assert.equal(rows[0].age, 2);
+                });
+        });
+        it ('should only accept values of the column types with strictTypes', () => {
+            var schema = new Cassandra.Schema({
+                id: 'uuid',
+                age: 'int'
+            }, {
+                primaryKeys: ['id'],
+                strictTypes: true
+            });
+            assert.deepEqual(schema.coerce({id: Cassandra.uuid(), age: 5}).errors, []);
+            assert.deepEqual(schema.coerce({age: '5'}).errors, [{
+                column: 'age',
+                rule: 'type',
+                message: 'expected int, got \'5\'',
+                value: '5'
+            }]);
+        });
+    });
+
+    describe('Strict Columns >', () => {
+        var StrictModel, IgnoreModel;
+        before((done) => {
+            StrictModel = cassandra.model('teststrict', new Cassandra.Schema({
+                id: 'int',
+                name: 'text'
+            }, {
+                primaryKeys: ['id']
+            }));
+            IgnoreModel = cassandra.model('teststrictignore', new Cassandra.Schema({
+                id: 'int',
+                name: 'text'
+            }, {
+                primaryKeys: ['id'],
+                strict: 'ignore'
+            }));
+            async.each([StrictModel, IgnoreModel], (model, next) => model.ready(next), done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                async.each(['teststrict', 'teststrictignore'], (table, next) => {
+                    cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, table), next);
+                }, done);
+            });
+        }
+        it ('should fail at qualifying a schema with an invalid strict option', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({id: 'int'}, {primaryKeys: ['id'], strict: true});
+            }, /^Error: Schema option "strict" must be "throw" or "ignore": true$/);
+        });
+        it ('should throw on unknown columns by default', () => {
+            return assertRejects(StrictModel.insert({id: 1, foo: 'bar'}),
+                    /^Error: Could not insert, unknown column: foo; model: teststrict$/)
+                .then(() => assertRejects(StrictModel.update({id: 1}, {foo: 'bar'}),
+                    /^Error: Could not update, unknown column: foo; model: teststrict$/))
+                .then(() => assertRejects(StrictModel.delete({id: 1}, {foo: 1}),
+                    /^Error: Could not delete, unknown column: foo; model: teststrict$/));
+        });
+        it ('should leave out unknown instance columns unless strict is "throw"', () => {
+            var ThrowModel = new Cassandra.Model.ColumnFamily(cassandra, 'teststrict', new Cassandra.Schema({
+                    id: 'int',
+                    name: 'text'
+                }, {
+                    primaryKeys: ['id'],
+                    strict: 'throw'
+                }));
+            assert.deepEqual(Object.keys(new StrictModel({id: 1, foo: 'bar'})), ['id', 'name']);
+            assert.throws(() => new ThrowModel.Factory({id: 1, foo: 'bar'}),
+                /^Error: Could not create instance, unknown column: foo; model: teststrict$/);
+        });
+        it ('should leave out unknown columns with strict "ignore"', () => {
+            var instance = new IgnoreModel({id: 1, name: 'foo', foo: 'bar'});
+            assert.deepEqual(Object.keys(instance), ['id', 'name']);
+            return IgnoreModel.insert({id: 2, name: 'foo', foo: 'bar'})
+                .then(() => IgnoreModel.update({id: 2}, {name: 'bar', foo: 'bar'}))
+                .then(() => IgnoreModel.findOne({id: 2}))
+                .then((row) => {
+                    assert.equal(row.name, 'bar');
+                    return IgnoreModel.delete({id: 2}, {name: 1, foo: 1});
+                });
+        });
+    });
+
+    describe('Instance Methods and Virtuals >', () => {
+        var UserModel;
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                username: {
+                    type: 'text',
+                    set: (value) => value.toLowerCase()
+                },
+                first: 'text',
+                last: 'text',
+                settings: {
+                    type: 'text',
+                    get: (value) => JSON.parse(value || '{}'),
+                    set: (value) => JSON.stringify(value)
+                }
+            }, {
+                primaryKeys: ['username']
+            });
+            schema.methods.greet = function () {
+                return 'Hello ' + this.first;
+            };
+            schema.virtuals.fullName = {
+                get: function () {
+                    return this.first + ' ' + this.last;
+                },
+                set: function (value) {
+                    [this.first, this.last] = value.split(' ');
+                }
+            };
+            UserModel = cassandra.model('testmethods', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testmethods'), done);
+            });
+        }
+        it ('should fail at qualifying a schema with invalid transforms', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({
+                    name: {
+                        type: 'text',
+                        get: 'foo'
+                    }
+                }, {
+                    primaryKeys: ['name']
+                });
+            }, /^Error: Invalid get transform, expected a function; column: name$/);
+        });
+        it ('should fail at attaching virtuals with the name of a column', () => {
+            var schema = new Cassandra.Schema({name: 'text'}, {primaryKeys: ['name']});
+            schema.virtuals.name = () => 'foo';
+            assert.throws(() => {
+                cassandra.model('testmethodsfail', schema);
+            }, /^Error: Invalid virtual, a column has the same name: name; model: testmethodsfail$/);
+        });
+        it ('should add methods and virtuals to instances without enumerating them', () => {
+            var user = new UserModel({username: 'Foo'});
+            user.fullName = 'Foo Bar';
+            assert.equal(user.first, 'Foo');
+            assert.equal(user.last, 'Bar');
+            assert.equal(user.fullName, 'Foo Bar');
+            assert.equal(user.greet(), 'Hello Foo');
+            assert.deepEqual(Object.keys(user), ['first', 'last', 'settings', 'username']);
+        });
+        it ('should transform values when writing and reading rows', () => {
+            var user = new UserModel({username: 'Foo', first: 'Foo', settings: {theme: 'dark'}});
+            return user.sync()
+                .then(() => UserModel.findOne({username: 'foo'}, {raw: true}))
+                .then((row) => {
+                    assert.equal(row.username, 'foo');
+                    assert.equal(row.settings, '{"theme":"dark"}');
+                    user.settings = {theme: 'light'};
+                    return user.save();
+                })
+                .then(() => UserModel.findOne({username: 'foo'}))
+                .then((row) => {
+                    assert.deepEqual(row.settings, {theme: 'light'});
+                    assert.equal(row.greet(), 'Hello Foo');
+                });
+        });
+    });
+
+    describe('Hooks >', () => {
+        var HookModel, events = [];
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                name: 'text',
+                modified: 'timestamp'
+            }, {
+                primaryKeys: ['name']
+            });
+            schema.pre('validate', function () {
+                events.push('pre validate');
+            });
+            schema.pre('save', function () {
+                this.modified = new Date();
+                events.push('pre save');
+            });
+            schema.post('save', () => {
+                events.push('post save');
+            });
+            schema.pre('remove', function (context) {
+                events.push('pre remove ' + context.instance.name);
+            });
+            schema.post('remove', function () {
+                events.push('post remove ' + this.name);
+            });
+            schema.pre('insert', (context, next) => {
+                events.push(context.query);
+                next();
+            });
+            schema.post('insert', (context) => {
+                events.push('post insert');
+                return Promise.resolve();
+            });
+            schema.pre('delete', (context) => {
+                if (context.params[0] === 'admin') {
+                    throw new Error('admin can not be deleted');
+                }
+            });
+            HookModel = cassandra.model('testhooks', schema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testhooks'), done);
+            });
+        }
+        it ('should fail at adding hooks for unsupported events', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({name: 'text'}, {primaryKeys: ['name']}).pre('find', () => {});
+            }, /^Error: Invalid hook event, not supported: find$/);
+        });
+        it ('should run instance and model hooks in order when syncing', () => {
+            var instance = new HookModel({name: 'foo'});
+            return instance.sync().then(() => {
+                assert(instance.modified instanceof Date);
+                assert.deepEqual(events, [
+                    'pre validate',
+                    'pre save',
+                    format('INSERT INTO %s.testhooks (modified, name) VALUES(?,?)', cassandra.keyspace),
+                    'post insert',
+                    'post save'
+                ]);
+            });
+        });
+        it ('should run the remove hooks around deleting an instance', () => {
+            var instance = new HookModel({name: 'bar'});
+            return instance.sync()
+                .then(() => {
+                    events.length = 0;
+                    return instance.delete();
+                })
+                .then(() => {
+                    assert.deepEqual(events, ['pre remove bar', 'post remove bar']);
+                });
+        });
+        it ('should abort operations when a hook fails', () => {
+            return HookModel.delete({name: 'admin'}).then(() => {
+                throw new Error('delete should have failed');
+            }, (err) => {
+                assert.equal(err.message, 'admin can not be deleted');
+            });
+        });
+        it ('should not swallow errors thrown by callbacks after the hooks', (done) => {
+            var listeners = process.listeners('uncaughtException');
+            process.removeAllListeners('uncaughtException');
+            process.once('uncaughtException', (err) => {
+                listeners.forEach((listener) => process.on('uncaughtException', listener));
+                assert.equal(err.message, 'callback failed');
+                done();
+            });
+            new HookModel({name: 'baz'}).sync(() => {
+                throw new Error('callback failed');
+            });
+        });
+    });
+
+    describe('Plugins >', () => {
+        var PluginModel, attached = [];
+        var softDelete = (schema, options) => {
+            schema.add({
+                deleted: {
+                    type: 'boolean',
+                    default: false
+                }
+            });
+            schema.options.indexes = (schema.options.indexes || []).concat(options.index ? ['deleted'] : []);
+            schema.methods.softDelete = function () {
+                this.deleted = true;
+                return this.save();
+            };
+            return (cassandra, name) => attached.push(cassandra.keyspace + '.' + name);
+        };
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                name: 'text'
+            }, {
+                primaryKeys: ['name']
+            });
+            schema.plugin(softDelete, {index: true});
+            PluginModel = cassandra.model('testplugins', schema, done);
+        });
+        after(() => {
+            Cassandra.Schema.plugins.length = 0;
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testplugins'), done);
+            });
+        }
+        it ('should add the columns, methods and indexes of plugins', () => {
+            assert.deepEqual(PluginModel.model.schema.columns, ['deleted', 'name']);
+            assert(PluginModel.model.indexes.deleted);
+            var instance = new PluginModel({name: 'foo'});
+            assert.strictEqual(instance.deleted, false);
+            return instance.sync()
+                .then(() => instance.softDelete())
+                .then(() => PluginModel.findOne({deleted: true}))
+                .then((row) => assert.equal(row.name, 'foo'));
+        });
+        it ('should pass the Cassandra instance to plugins when attaching the schema', () => {
+            assert.deepEqual(attached, [cassandra.keyspace + '.testplugins']);
+        });
+        it ('should apply global plugins to new schemas', () => {
+            Cassandra.plugin((schema, options) => {
+                schema.statics.tag = () => options.tag;
+            }, {tag: 'foo'});
+            var schema = new Cassandra.Schema({name: 'text'}, {primaryKeys: ['name']});
+            assert.equal(schema.statics.tag(), 'foo');
+        });
+        it ('should not add invalid columns', () => {
+            var schema = new Cassandra.Schema({name: 'text'}, {primaryKeys: ['name']});
+            assert.throws(() => schema.add({foo: 'bar'}), /^TypeError: Cassandra data type not supported: "bar"$/);
+            assert.deepEqual(schema.columns, ['name']);
+        });
+        it ('should leave the schema as it was when a plugin fails', () => {
+            var schema = new Cassandra.Schema({name: 'text'}, {primaryKeys: ['name']});
+            var statics = Object.keys(schema.statics);
+            assert.throws(() => {
+                schema.plugin((schema) => {
+                    schema.add({age: 'int', foo: 'bar'});
+                    schema.statics.findAdults = () => {};
+                    schema.methods.greet = () => {};
+                    schema.pre('save', () => {});
+                    schema.options.indexes = ['age'];
+                    return () => {};
+                });
+            }, /^TypeError: Cassandra data type not supported: "bar"$/);
+            assert.deepEqual(schema.columns, ['name']);
+            assert.deepEqual(Object.keys(schema.definition), ['name']);
+            assert.deepEqual(Object.keys(schema.statics), statics);
+            assert.deepEqual(schema.methods, {});
+            assert.equal(schema.hooks.pre.save, undefined);
+            assert.equal(schema.options.indexes, undefined);
+            assert.equal(schema.__$$attach.length, 0);
+        });
+    });
+
+    describe('Timestamps >', () => {
+        var StampedModel;
+        before((done) => {
+            StampedModel = cassandra.model('testtimestamps', new Cassandra.Schema({
+                name: 'text',
+                age: 'int'
+            }, {
+                primaryKeys: ['name'],
+                timestamps: {
+                    createdAt: 'created',
+                    updatedAt: 'updated'
+                }
+            }), done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testtimestamps'), done);
+            });
+        }
+        it ('should fail at qualifying a schema with an invalid timestamps option', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({name: 'text'}, {primaryKeys: ['name'], timestamps: {createdAt: 1}});
+            }, /^Error: Invalid timestamps option, expected column names or false for createdAt and updatedAt: \{"createdAt":1\}$/);
+        });
+        it ('should add the renamed timestamp columns', () => {
+            assert.deepEqual(StampedModel.model.schema.columns, ['age', 'created', 'name', 'updated']);
+            assert.equal(StampedModel.model.schema.model.created, 'timestamp');
+        });
+        it ('should set created on the first sync and updated on every save', () => {
+            var instance = new StampedModel({name: 'foo', age: 1});
+            var created;
+            return instance.sync()
+                .then(() => {
+                    created = instance.created;
+                    assert(created instanceof Date);
+                    assert(instance.updated instanceof Date);
+                    instance.age = 2;
+                    return instance.save();
+                })
+                .then(() => StampedModel.findOne({name: 'foo'}))
+                .then((row) => {
+                    assert.equal(row.created.getTime(), created.getTime());
+                    assert(row.updated >= created);
+                });
+        });
+        it ('should not overwrite created when syncing an existing row', () => {
+            var instance = new StampedModel({name: 'foo', created: new Date(0)});
+            return instance.sync()
+                .then(() => StampedModel.findOne({name: 'foo'}))
+                .then((row) => {
+                    assert.notEqual(row.created.getTime(), 0);
+                    assert.equal(instance.created.getTime(), row.created.getTime());
+                });
+        });
+        it ('should set updated on Model.update', () => {
+            var before = Date.now();
+            return StampedModel.update({name: 'bar'}, {age: 3})
+                .then(() => StampedModel.findOne({name: 'bar'}))
+                .then((row) => {
+                    assert(row.updated.getTime() >= before - 1000);
+                    assert.equal(row.created, null);
+                });
+        });
+        it ('should run the insert hooks once per sync', () => {
+            var inserts = [];
+            var schema = new Cassandra.Schema({
+                    name: 'text',
+                    age: 'int'
+                }, {
+                    primaryKeys: ['name'],
+                    timestamps: true
+                });
+            schema.pre('insert', (context) => {
+                inserts.push('pre ' + context.query);
+            });
+            schema.post('insert', (context) => {
+                inserts.push('post ' + context.query);
+            });
+            var HookedModel = cassandra.model('testtimestampshooks', schema);
+            var instance = new HookedModel({name: 'foo', age: 1});
+            return HookedModel.ready()
+                .then(() => instance.sync())
+                .then(() => {
+                    assert.equal(inserts.length, 2);
+                    assert(inserts.every((insert) => !/IF NOT EXISTS/.test(insert)), inserts.join(', '));
+                    assert(instance.createdAt instanceof Date);
+                });
+        });
+    });
+
+    describe('Column Names >', () => {
+        var NamedModel;
+        before((done) => {
+            NamedModel = cassandra.model('testcolumnnames', new Cassandra.Schema({
+                id: 'int',
+                userName: {
+                    type: 'text',
+                    dbName: 'userName'
+                },
+                order: 'int'
+            }, {
+                primaryKeys: ['id'],
+                indexes: ['userName']
+            }), done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testcolumnnames'), done);
+            });
+        }
+        it ('should fail at qualifying a column with an invalid dbName', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({id: 'int', name: {type: 'text', dbName: 1}}, {primaryKeys: ['id']});
+            }, /^Error: Invalid dbName, expected a string; column: name$/);
+        });
+        it ('should fail at qualifying columns with the same database name', () => {
+            assert.throws(() => {
+                new Cassandra.Schema({id: 'int', name: 'text', alias: {type: 'text', dbName: 'name'}}, {primaryKeys: ['id']});
+            }, /^Error: Invalid column, the database name "name" is used by another column; column: alias$/);
+        });
+        it ('should quote identifiers where needed', () => {
+            assert.equal(Cassandra.Schema.quote('name'), 'name');
+            assert.equal(Cassandra.Schema.quote('userName'), '"userName"');
+            assert.equal(Cassandra.Schema.quote('order'), '"order"');
+            assert.equal(Cassandra.Schema.quote('a"b'), '"a""b"');
+        });
+        it ('should write and read the aliased columns', () => {
+            return NamedModel.insert({id: 1, userName: 'foo', order: 2})
+                .then(() => NamedModel.update({id: 1}, {order: 3}))
+                .then(() => cassandra.driver.execute(format('SELECT "userName", "order" FROM %s.testcolumnnames', cassandra.keyspace)))
+                .then((result) => {
+                    assert.equal(result.rows[0].userName, 'foo');
+                    assert.equal(result.rows[0].order, 3);
+                    return NamedModel.findOne({userName: 'foo'});
+                })
+                .then((row) => {
+                    assert.equal(row.userName, 'foo');
+                    assert.equal(row.order, 3);
+                    return NamedModel.find({id: 1}, ['userName'], {raw: true});
+                })
+                .then((rows) => assert.deepEqual(Object.assign({}, rows[0]), {userName: 'foo'}));
+        });
+        it ('should map the rows with eachRow and stream', (done) => {
+            var rows = [];
+            NamedModel.find({id: 1}, {raw: true, eachRow: (n, row) => rows.push(row)}, (err) => {
+                if (err) {
+                    return done(err);
+                }
+                assert.equal(rows[0].userName, 'foo');
+                NamedModel.find({id: 1}, {stream: true})
+                    .on('data', (row) => rows.push(row))
+                    .on('error', done)
+                    .on('end', () => {
+                        assert.equal(rows[1].userName, 'foo');
+                        assert.equal(rows[1].order, 3);
+                        done();
+                    });
+            });
+        });
+        it ('should introspect the database names', () => {
+            return cassandra.introspect('testcolumnnames').then((schema) => {
+                assert.equal(schema.definition.userName.dbName, 'userName');
+                assert.equal(schema.columnMap.order, 'order');
+            });
+        });
+    });
+
+    describe('Schema Composition >', () => {
+        var tenantSchema;
+        var auditSchema;
+        var ComposedModel;
+        before((done) => {
+            tenantSchema = new Cassandra.Schema({
+                tenant: 'text',
+                id: 'int',
+                name: {
+                    type: 'text',
+                    required: true
+                }
+            }, {
+                primaryKeys: [['tenant', 'id']],
+                indexes: ['name']
+            });
+            tenantSchema.statics.findByTenant = function (tenant) {
+                return this.find({tenant: tenant});
+            };
+            auditSchema = new Cassandra.Schema({
+                id: 'int',
+                name: {
+                    type: 'text',
+                    default: 'unnamed'
+                },
+                modifiedBy: 'text'
+            }, {
+                primaryKeys: ['id']
+            });
+            auditSchema.methods.describe = function () {
+                return this.name + ' by ' + this.modifiedBy;
+            };
+            auditSchema.pre('save', function () {
+                this.modifiedBy = this.modifiedBy || 'system';
+            });
+            ComposedModel = cassandra.model('testcomposed', Cassandra.Schema.compose(auditSchema, tenantSchema), done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testcomposed'), done);
+            });
+        }
+        it ('should fail at composing a column with another type', () => {
+            assert.throws(() => {
+                tenantSchema.extend({id: 'text'});
+            }, /^Error: Invalid column, conflicting types int and text; column: id$/);
+        });
+        it ('should merge the columns and their settings', () => {
+            var schema = ComposedModel.model.schema;
+            assert.deepEqual(schema.columns, ['id', 'modifiedBy', 'name', 'tenant']);
+            assert.deepEqual(schema.options.primaryKeys, [['tenant', 'id']]);
+            assert.deepEqual(schema.options.indexes, ['name']);
+            assert.equal(schema.required.name, 1);
+            assert.equal(schema.defaults.name, 'unnamed');
+        });
+        it ('should extend a schema without changing it', () => {
+            var schema = tenantSchema.extend({total: 'int'}, {primaryKeys: ['tenant', 'id'], indexes: ['total']});
+            assert.deepEqual(schema.columns, ['id', 'name', 'tenant', 'total']);
+            assert.deepEqual(schema.options.primaryKeys, ['tenant', 'id']);
+            assert.deepEqual(schema.options.indexes, ['name', 'total']);
+            assert.equal(typeof schema.statics.findByTenant, 'function');
+            assert.deepEqual(tenantSchema.columns, ['id', 'name', 'tenant']);
+        });
+        it ('should merge the statics, methods and hooks', () => {
+            var instance = new ComposedModel({tenant: 'foo', id: 1});
+            return instance.sync()
+                .then(() => {
+                    assert.equal(instance.describe(), 'unnamed by system');
+                    return ComposedModel.findByTenant('foo');
+                })
+                .then((rows) => {
+                    assert.equal(rows.length, 1);
+                    assert.equal(rows[0].modifiedBy, 'system');
+                });
+        });
+    });
+
+    describe('Secondary Indexes >', () => {
+        var IndexedModel;
+        before((done) => {
+            IndexedModel = cassandra.model('testindexkinds', new Cassandra.Schema({
+                id: 'int',
+                name: 'text',
+                attributes: {
+                    map: ['text', 'text']
+                },
+                tags: {
+                    frozen: {
+                        set: 'text'
+                    }
+                }
+            }, {
+                primaryKeys: ['id'],
+                indexes: ['attributes', {target: 'values(attributes)'}, {target: 'entries(attributes)', name: 'testindexkinds_entries'}, 'tags']
+            }), done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testindexkinds'), done);
+            });
+        }
+        it ('should record the kind of each index', () => {
+            var registry = IndexedModel.model.indexRegistry;
+            assert.equal(registry.testindexkinds_attributes_idx.kind, 'keys');
+            assert.equal(registry.testindexkinds_attributes_values_idx.kind, 'values');
+            assert.equal(registry.testindexkinds_entries.kind, 'entries');
+            assert.equal(registry.testindexkinds_tags_idx.kind, 'full');
+            assert.equal(registry.testindexkinds_tags_idx.target, 'FULL(tags)');
+        });
+        it ('should query the indexed entries', () => {
+            return IndexedModel.insert({id: 1, name: 'foo', attributes: {color: 'red'}, tags: ['a', 'b']})
+                .then(() => IndexedModel.find({attributes: {$containsKey: 'color'}}))
+                .then((rows) => {
+                    assert.equal(rows.length, 1);
+                    return cassandra.driver.execute(
+                        format("SELECT id FROM %s.testindexkinds WHERE attributes['color'] = 'red'", cassandra.keyspace)
+                    );
+                })
+                .then((result) => assert.equal(result.rowLength, 1));
+        });
+        it ('should create custom indexes with options', () => {
+            var query = IndexedModel.model.createIndex({
+                    target: 'name',
+                    using: 'org.apache.cassandra.index.sasi.SASIIndex',
+                    options: {mode: 'CONTAINS'}
+                }, false);
+            assert.equal(query, format("CREATE CUSTOM INDEX IF NOT EXISTS testindexkinds_name_idx ON %s.testindexkinds (name) "
+                + "USING 'org.apache.cassandra.index.sasi.SASIIndex' WITH OPTIONS = {'mode': 'CONTAINS'}", cassandra.keyspace));
+            assert.equal(IndexedModel.model.indexRegistry.testindexkinds_name_idx.kind, 'custom');
+        });
+        it ('should fail at creating an index not supported by the column', () => {
+            assert.throws(() => {
+                IndexedModel.model.createIndex({target: 'entries(name)'}, false);
+            }, /^Error: Invalid Index, ENTRIES indexes are not supported by column "name" in table model "testindexkinds"$/);
+        });
+        it ('should drop an index by its name', (done) => {
+            IndexedModel.model.dropIndex('testindexkinds_entries', (err) => {
+                if (err) {
+                    return done(err);
+                }
+                assert(!IndexedModel.model.indexRegistry.testindexkinds_entries);
+                assert.throws(() => {
+                    IndexedModel.model.dropIndex('attributes');
+                }, /^Error: Invalid Index, column "attributes" has more than one index, drop it by name; model: testindexkinds$/);
+                done();
+            });
+        });
+    });
+
+    describe('Query Builder >', () => {
+        var QueryModel;
+        before((done) => {
+            QueryModel = cassandra.model('testquerybuilder', new Cassandra.Schema({
+                name: 'text',
+                created: 'int',
+                age: 'int',
+                tags: {
+                    list: 'text'
+                }
+            }, {
+                primaryKeys: ['name', 'created'],
+                views: {
+                    byAge: {
+                        primaryKeys: ['age', 'name', 'created']
+                    }
+                }
+            }), (err) => {
+                if (err) {
+                    return done(err);
+                }
+                async.eachSeries([1, 2, 3], (created, next) => {
+                    QueryModel.insert({name: 'foo', created: created, age: created * 10, tags: ['a']}, next);
+                }, done);
+            });
+        });
+        if (CLEAN) {
+            after((done) => {
+                async.series([
+                    (next) => cassandra.driver.execute(format('DROP MATERIALIZED VIEW %s.testquerybuilder__byage', cassandra.keyspace), next),
+                    (next) => cassandra.driver.execute(format('DROP TABLE %s.testquerybuilder', cassandra.keyspace), next)
+                ], done);
+            });
+        }
+        it ('should build the CQL of a select', () => {
+            var query = QueryModel.query()
+                .where({name: 'foo', created: {$gt: 1}})
+                .where({created: {$lt: 3}})
+                .select(['age'])
+                .orderBy({created: 'desc'})
+                .limit(2)
+                .allowFiltering();
+            assert.equal(query.toCQL(), format('SELECT age FROM %s.testquerybuilder WHERE name=? AND created>? '
+                + 'AND created<? ORDER BY created desc LIMIT 2 ALLOW FILTERING', cassandra.keyspace));
+            assert.deepEqual(query.build().params, ['foo', 1, 3]);
+        });
+        it ('should select rows', () => {
+            return QueryModel.query().where({name: 'foo'}).orderBy({created: 'desc'}).limit(2).exec()
+                .then((rows) => {
+                    assert.deepEqual(rows.map((row) => row.created), [3, 2]);
+                    assert(rows[0] instanceof QueryModel);
+                });
+        });
+        it ('should select rows of a materialized view', () => {
+            return QueryModel.views.byAge.ready()
+                .then(() => QueryModel.views.byAge.query().where({age: 20}).select(['name', 'created']).raw().exec())
+                .then((rows) => assert.deepEqual(Object.assign({}, rows[0]), {name: 'foo', created: 2}));
+        });
+        it ('should update and delete rows', (done) => {
+            QueryModel.query().where({name: 'foo', created: 1}).update({age: 11}).exec((err) => {
+                if (err) {
+                    return done(err);
+                }
+                QueryModel.query().where({name: 'foo', created: 1}).delete(['tags']).exec((err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    QueryModel.findOne({name: 'foo', created: 1}, (err, row) => {
+                        assert.equal(row.age, 11);
+                        assert.equal(row.tags, null);
+                        done(err);
+                    });
+                });
+            });
+        });
+        it ('should fail at updating a materialized view', () => {
+            assert.throws(() => {
+                QueryModel.views.byAge.query().update({age: 1});
+            }, /^Error: Could not update, materialized views are read only; view: byAge$/);
+        });
+    });
+
+    describe('Find Options >', () => {
+        var OptionsModel;
+        before((done) => {
+            OptionsModel = cassandra.model('testfindoptions', new Cassandra.Schema({
+                tenant: 'text',
+                user: 'text',
+                age: 'int',
+                plan: {
+                    type: 'text',
+                    static: true
+                }
+            }, {
+                primaryKeys: ['tenant', 'user']
+            }), (err) => {
+                if (err) {
+                    return done(err);
+                }
+                async.eachSeries([['foo', 'a'], ['foo', 'b'], ['foo', 'c'], ['bar', 'a']], (row, next) => {
+                    OptionsModel.insert({tenant: row[0], user: row[1], age: 30, plan: 'free'}, next);
+                }, done);
+            });
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testfindoptions'), done);
+            });
+        }
+        it ('should order by clustering columns', () => {
+            return OptionsModel.find({tenant: 'foo'}, {orderBy: {user: 'desc'}, raw: true})
+                .then((rows) => assert.deepEqual(rows.map((row) => row.user), ['c', 'b', 'a']));
+        });
+        it ('should limit the rows per partition', () => {
+            return OptionsModel.find({}, ['tenant', 'user'], {perPartitionLimit: 1, raw: true})
+                .then((rows) => assert.equal(rows.length, 2));
+        });
+        it ('should not limit the rows with a limit of 0', () => {
+            return Promise.all([
+                OptionsModel.find({}, {raw: true}),
+                OptionsModel.find({}, {limit: 0, raw: true})
+            ]).then((results) => {
+                assert(results[0].length > 1);
+                assert.equal(results[1].length, results[0].length);
+            });
+        });
+        it ('should select the distinct partitions', () => {
+            return OptionsModel.find({}, {distinct: true, raw: true})
+                .then((rows) => assert.deepEqual(rows.map((row) => row.tenant).sort(), ['bar', 'foo']))
+                .then(() => OptionsModel.query().select(['tenant', 'plan']).distinct().raw().exec())
+                .then((rows) => assert.deepEqual(rows.map((row) => row.plan), ['free', 'free']));
+        });
+        it ('should build the CQL of groups', () => {
+            assert.equal(
+                OptionsModel.query().select(['tenant', 'count(*) AS users']).groupBy('tenant').toCQL(),
+                format('SELECT tenant, count(*) AS users FROM %s.testfindoptions GROUP BY tenant', cassandra.keyspace)
+            );
+        });
+        it ('should reject options that do not follow the primary keys', () => {
+            var rejects = (options, message) => {
+                    return OptionsModel.find({}, options).then(() => {
+                        throw new Error('find should have failed');
+                    }, (err) => assert.equal(err.message, message));
+                };
+            return rejects({orderBy: {age: 'desc'}}, 'Invalid orderBy, expected the clustering columns '
+                    + 'in the order of the primary key: user; column: age, model: testfindoptions')
+                .then(() => rejects({orderBy: {user: 'desc'}}, 'Invalid orderBy, the partition keys must '
+                    + 'be restricted; column: tenant, model: testfindoptions'))
+                .then(() => rejects({distinct: true, perPartitionLimit: 1}, 'Invalid distinct, perPartitionLimit '
+                    + 'is not supported by distinct; model: testfindoptions'))
+                .then(() => rejects({groupBy: ['user']}, 'Invalid groupBy, expected the primary keys in their '
+                    + 'order: tenant, user; column: user, model: testfindoptions'))
+                .then(() => rejects({perPartitionLimit: 0}, 'Invalid perPartitionLimit, expected a positive integer: 0; '
+                    + 'model: testfindoptions'))
+                .then(() => rejects({limit: -1}, 'Invalid limit, expected a positive integer: -1; model: testfindoptions'))
+                .then(() => rejects({limit: 'bad'}, 'Invalid limit, expected a positive integer: "bad"; model: testfindoptions'));
+        });
+        it ('should fail at selecting other columns of distinct partitions', (done) => {
+            OptionsModel.find({}, ['user'], {distinct: true}, (err) => {
+                assert.equal(err.message, 'Invalid distinct, only partition keys and static columns can be '
+                    + 'selected; column: user, model: testfindoptions');
+                done();
+            });
+        });
+    });
+
+    describe('Aggregates >', () => {
+        var AggregateModel;
+        before((done) => {
+            AggregateModel = cassandra.model('testaggregates', new Cassandra.Schema({
+                tenant: 'text',
+                user: 'text',
+                age: 'int',
+                visits: 'bigint',
+                name: 'text'
+            }, {
+                primaryKeys: ['tenant', 'user'],
+                views: {
+                    byAge: {
+                        primaryKeys: ['age', 'tenant', 'user']
+                    }
+                }
+            }), (err) => {
+                if (err) {
+                    return done(err);
+                }
+                async.eachSeries([['foo', 'a', 20, 1], ['foo', 'b', 30, 2], ['foo', 'c', 40, 3], ['bar', 'a', 40, 4]], (row, next) => {
+                    AggregateModel.insert({tenant: row[0], user: row[1], age: row[2], visits: row[3], name: row[1]}, next);
+                }, done);
+            });
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testaggregates'), done);
+            });
+        }
+        it ('should count the rows as a number', () => {
+            return AggregateModel.count({tenant: 'foo'})
+                .then((count) => assert.strictEqual(count, 3))
+                .then(() => AggregateModel.count())
+                .then((count) => assert.strictEqual(count, 4));
+        });
+        it ('should compute aggregates as numbers', () => {
+            return AggregateModel.aggregate({tenant: 'foo'}, {min: 'age', max: 'age', sum: ['age', 'visits'], avg: 'age'})
+                .then((result) => assert.deepEqual(result, {min: 20, max: 40, sum: {age: 90, visits: 6}, avg: 30}));
+        });
+        it ('should aggregate the rows of a materialized view', (done) => {
+            var view = AggregateModel.views.byAge;
+            view.count({age: 40}, (err, count) => {
+                assert.strictEqual(count, 2);
+                view.aggregate({age: 40}, {sum: 'visits'}, (err, result) => {
+                    assert.deepEqual(result, {sum: 7});
+                    done(err);
+                });
+            });
+        });
+        it ('should fail at aggregating unknown columns or functions', () => {
+            var rejects = (aggregates, message) => {
+                    return AggregateModel.aggregate({}, aggregates).then(() => {
+                        throw new Error('aggregate should have failed');
+                    }, (err) => assert.equal(err.message, message));
+                };
+            return rejects({max: 'nope'}, 'Invalid aggregate, could not find column: nope; model: testaggregates')
+                .then(() => rejects({median: 'age'}, 'Invalid aggregate, not supported: median; model: testaggregates'))
+                .then(() => rejects({sum: 'name'}, 'Invalid aggregate, sum expects a numeric column; '
+                    + 'column: name, model: testaggregates'));
+        });
+    });
+
+    describe('Lightweight Transactions >', () => {
+        var LwtModel;
+        before((done) => {
+            LwtModel = cassandra.model('testlwt', new Cassandra.Schema({
+                name: 'text',
+                age: 'int',
+                email: 'text'
+            }, {
+                primaryKeys: ['name']
+            }), done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testlwt'), done);
+            });
+        }
+        it ('should only insert rows that do not exist', () => {
+            return LwtModel.insert({name: 'foo', age: 30}, {ifNotExists: true})
+                .then((result) => assert.deepEqual(result, {applied: true, current: null}))
+                .then(() => LwtModel.insert({name: 'foo', age: 40}, {ifNotExists: true}))
+                .then((result) => {
+                    assert.strictEqual(result.applied, false);
+                    assert.equal(result.current.name, 'foo');
+                    assert.equal(result.current.age, 30);
+                });
+        });
+        it ('should update rows that match the conditions', () => {
+            return LwtModel.update({name: 'foo'}, {age: 31}, {if: {age: 29}})
+                .then((result) => {
+                    assert.strictEqual(result.applied, false);
+                    assert.equal(result.current.age, 30);
+                })
+                .then(() => LwtModel.update({name: 'foo'}, {age: 31}, {if: {age: {$lt: 31}}}))
+                .then((result) => assert.strictEqual(result.applied, true))
+                .then(() => LwtModel.update({name: 'bar'}, {age: 1}, {ifExists: true}))
+                .then((result) => assert.deepEqual(result, {applied: false, current: null}));
+        });
+        it ('should delete rows that match the conditions', (done) => {
+            LwtModel.delete({name: 'foo'}, {if: {age: 30}}, (err, result) => {
+                assert.strictEqual(result.applied, false);
+                LwtModel.query().where({name: 'foo'}).delete().ifExists().exec((err, result) => {
+                    assert.strictEqual(result.applied, true);
+                    done(err);
+                });
+            });
+        });
+        it ('should fail at conditions that are not supported', () => {
+            return assertRejects(LwtModel.insert({name: 'foo'}, {ifExists: true}),
+                    /Could not insert, the ifExists option is not supported by inserts; model: testlwt/)
+                .then(() => assertRejects(LwtModel.update({name: 'foo'}, {age: 1}, {if: {age: 1}, ifExists: true}),
+                    /Could not update, if and ifExists can not be combined; model: testlwt/))
+                .then(() => assertRejects(LwtModel.update({name: 'foo'}, {age: 1}, {if: {name: 'bar'}}),
+                    /Could not update, primary keys can not be part of the if conditions; column: name, model: testlwt/));
+        });
+    });
+
+    describe('Write Options >', () => {
+        var TtlModel;
+        var remaining = (name) => {
+                return TtlModel.findOne({name: name}, ['ttl(age) AS ttl', 'writetime(age) AS written'], {raw: true});
+            };
+        before((done) => {
+            TtlModel = cassandra.model('testwriteoptions', new Cassandra.Schema({
+                name: 'text',
+                age: 'int'
+            }, {
+                primaryKeys: ['name'],
+                default_time_to_live: 3600
+            }), done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testwriteoptions'), done);
+            });
+        }
+        it ('should insert and update with a ttl and timestamp', () => {
+            var date = new Date(Date.now() - 1000);
+            return TtlModel.insert({name: 'foo', age: 30}, {ttl: 60, timestamp: date})
+                .then(() => remaining('foo'))
+                .then((row) => {
+                    assert.ok(row.ttl > 0 && row.ttl <= 60);
+                    assert.equal(row.written.toString(), String(date.getTime() * 1000));
+                })
+                .then(() => TtlModel.update({name: 'foo'}, {age: 31}, {ttl: 0}))
+                .then(() => remaining('foo'))
+                .then((row) => assert.strictEqual(row.ttl, null));
+        });
+        it ('should default to the ttl of the table', () => {
+            return TtlModel.insert({name: 'bar', age: 30})
+                .then(() => remaining('bar'))
+                .then((row) => assert.ok(row.ttl > 60 && row.ttl <= 3600));
+        });
+        it ('should save instances with a ttl', () => {
+            var instance = new TtlModel({name: 'baz', age: 30});
+            return instance.sync({ttl: 120})
+                .then(() => remaining('baz'))
+                .then((row) => assert.ok(row.ttl > 60 && row.ttl <= 120))
+                .then(() => {
+                    instance.age = 31;
+                    return instance.save({ttl: 30});
+                })
+                .then(() => remaining('baz'))
+                .then((row) => assert.ok(row.ttl <= 30));
+        });
+        it ('should fail at invalid write options', () => {
+            return assertRejects(TtlModel.insert({name: 'foo'}, {ttl: -1}),
+                    /Invalid ttl, expected an integer of seconds up to 630720000: -1; model: testwriteoptions/)
+                .then(() => assertRejects(TtlModel.update({name: 'foo'}, {age: 1}, {timestamp: 'now'}),
+                    /Invalid timestamp, expected microseconds or a Date: "now"; model: testwriteoptions/))
+                .then(() => assertRejects(TtlModel.delete({name: 'foo'}, {ttl: 1}),
+                    /Could not delete, the ttl option is not supported by deletes; model: testwriteoptions/));
+        });
+    });
+
+    describe('Schema Sync >', () => {
+        var SyncModel;
+        before((done) => {
+            var schema = new Cassandra.Schema({
+                name: 'text',
+                age: 'int'
+            }, {
+                primaryKeys: ['name']
+            });
+            cassandra.model('testsync', schema, done);
+        });
+        before(() => {
+            var schema = new Cassandra.Schema({
+                name: 'text',
+                email: 'text'
+            }, {
+                primaryKeys: ['name']
+            });
+            SyncModel = cassandra.model('testsync', schema);
+        });
+        if (CLEAN) {
+            after((done) => {
+                cassandra.driver.execute(format('DROP TABLE %s.%s', cassandra.keyspace, 'testsync'), done);
+            });
+        }
+        it ('should plan the queries to sync a table without executing them on a dry run', () => {
+            return SyncModel.syncSchema({dryRun: true, drop: true}).then((queries) => {
+                assert.deepEqual(queries, [
+                    'ALTER TABLE testkeyspace.testsync DROP age',
+                    'ALTER TABLE testkeyspace.testsync ADD email text'
+                ]);
+            });
+        });
+        it ('should only plan the drops of a dry run with the drop option', () => {
+            return SyncModel.syncSchema({dryRun: true}).then((queries) => {
+                assert.deepEqual(queries, ['ALTER TABLE testkeyspace.testsync ADD email text']);
+            });
+        });
+        it ('should only add to a table unless dropping is enabled', (done) => {
+            SyncModel.syncSchema((err, queries) => {
+                if (err) {
+                    return done(err);
+                }
+                assert.deepEqual(queries, ['ALTER TABLE testkeyspace.testsync ADD email text']);
+                cassandra.driver.metadata.getTable(cassandra.keyspace, 'testsync', (err, table) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    var columns = table.columns.map((column) => column.name).sort();
+                    assert.deepEqual(columns, ['age', 'email', 'name']);
+                    done();
+                });
+            });
+        });
+        it ('should be able to sync a table with the schema', (done) => {
+            SyncModel.syncSchema({drop: true}, (err, queries) => {
+                if (err) {
+                    return done(err);
+                }
+                assert.deepEqual(queries, ['ALTER TABLE testkeyspace.testsync DROP age']);
+                cassandra.driver.metadata.getTable(cassandra.keyspace, 'testsync', (err, table) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    var columns = table.columns.map((column) => column.name).sort();
+                    assert.deepEqual(columns, ['email', 'name']);
+                    done();
+                });
+            });
+        });
+        it ('should have nothing to plan once the table is in sync', () => {
+            return SyncModel.syncSchema({dryRun: true, drop: true}).then((queries) => {
+                assert.deepEqual(queries, []);
+            });
+        });
+        it ('should error when a column type has changed', (done) => {
+            var schema = new Cassandra.Schema({
+                name: 'text',
+                email: 'int'
+            }, {
+                primaryKeys: ['name']
+            });
+            var ChangedModel = new Cassandra.Model.ColumnFamily(cassandra, 'testsync', schema);
+            ChangedModel.syncSchema({dryRun: true}, (err) => {
+                assert(err instanceof Error);
+                assert.equal(err.message, 'Could not sync schema, column type can not be changed '
+                    + 'from "text" to "int"; column: email, model: testsync');
+                done();
+            });
+        });
+    });
+
+    describe('Introspection >', () => {
+        var introspectSchema;
+        before((done) => {
+            introspectSchema = new Cassandra.Schema({
+                username: 'text',
+                tenant: 'text',
+                created: 'timestamp',
+                age: 'int',
+                emails: {
+                    type: {
+                        set: 'text'
+                    }
+                },
+                scores: {
+                    type: {
+                        map: ['text', 'int']
+                    }
+                }
+            }, {
+                primaryKeys: [['username', 'tenant'], 'created'],
+                orderBy: {
+                    created: 'desc'
+                },
+                indexes: ['emails', {scores: 'testintrospect_scores'}],
+                views: {
+                    byage: {
+                        primaryKeys: ['age']
+                    }
+                }
+            });
+            cassandra.model('testintrospect', introspectSchema, done);
+        });
+        if (CLEAN) {
+            after((done) => {
+                async.series([
+                    (next) => cassandra.driver.execute(format('DROP MATERIALIZED VIEW %s.testintrospect__byage', cassandra.keyspace), next),
+                    (next) => cassandra.driver.execute(format('DROP TABLE %s.testintrospect', cassandra.keyspace), next)
+                ], done);
+            });
+        }
+        it ('should create an equivalent schema from an existing table', () => {
+            return cassandra.introspect('testintrospect').then((schema) => {
+                assert(schema instanceof Cassandra.Schema);
+                assert.deepEqual(schema.model, introspectSchema.model);
+                assert.deepEqual(schema.collections, {emails: 'text', scores: ['text', 'int']});
+                assert.deepEqual(schema.options.primaryKeys, [['username', 'tenant'], 'created']);
+                assert.deepEqual(schema.options.orderBy, {created: 'desc'});
+                assert.deepEqual(schema.options.indexes, ['emails', {scores: 'testintrospect_scores'}]);
+                assert.deepEqual(schema.options.views.byage.primaryKeys, ['age', 'username', 'tenant', 'created']);
+            });
+        });
+        it ('should be able to print an introspected schema as source', (done) => {
+            cassandra.introspect('testintrospect', (err, schema) => {
+                if (err) {
+                    return done(err);
+                }
+                var source = schema.toSource();
+                var copy = vm.runInNewContext(source, {Cassandra: Cassandra});
+                assert.equal(source.indexOf('new Cassandra.Schema({'), 0);
+                assert.deepEqual(copy.model, schema.model);
+                assert.deepEqual(copy.options, schema.options);
+                done();
+            });
+        });
+        it ('should error introspecting a table that does not exist', (done) => {
+            cassandra.introspect('testnotatable', (err) => {
+                assert(err instanceof Error);
+                assert.equal(err.message, 'Could not introspect table, not found: testkeyspace.testnotatable');
+                done();
+            });
+        });
+    });
+
+    describe('Migrations >', () => {
+        var dir = path.join(os.tmpdir(), 'node-cassandra-migrations-' + process.pid);
+        var writeMigration = (file, up, down) => {
+                fs.writeFileSync(path.join(dir, file), format(
+                    'exports.up = %s;\nexports.down = %s;\n',
+                    up,
+                    down
+                ));
+            };
+        before(() => {
+            fs.mkdirSync(dir);
+            writeMigration(
+                '001-create-table.js',
+                '(cassandra, next) => cassandra.driver.execute(\'CREATE TABLE \' + cassandra.keyspace + \'.testmigration (name text PRIMARY KEY)\', next)',
+                '(cassandra, next) => cassandra.driver.execute(\'DROP TABLE \' + cassandra.keyspace + \'.testmigration\', next)'
+            );
+            writeMigration(
+                '002-add-column.js',
+                '(cassandra) => cassandra.driver.execute(\'ALTER TABLE \' + cassandra.keyspace + \'.testmigration ADD age int\')',
+                '(cassandra) => cassandra.driver.execute(\'ALTER TABLE \' + cassandra.keyspace + \'.testmigration DROP age\')'
+            );
+        });
+        after(() => {
+            fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        });
+        it ('should run pending migrations in order and only once, even when started concurrently', (done) => {
+            async.parallel([
+                (next) => cassandra.migrate(dir, next),
+                (next) => cassandra.migrate(dir, {lockInterval: 100}, next)
+            ], (err, results) => {
+                if (err) {
+                    return done(err);
+                }
+                var ran = results[0].concat(results[1]).map((migration) => migration.version);
+                assert.deepEqual(ran, [1, 2]);
+                cassandra.driver.metadata.getTable(cassandra.keyspace, 'testmigration', (err, table) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    assert.deepEqual(table.columns.map((column) => column.name).sort(), ['age', 'name']);
+                    done();
+                });
+            });
+        });
+        it ('should record the applied versions', (done) => {
+            cassandra.driver.execute(format('SELECT version FROM %s.schema_migrations', cassandra.keyspace), (err, result) => {
+                if (err) {
+                    return done(err);
+                }
+                assert.deepEqual(result.rows.map((row) => row.version).sort(), [1, 2]);
+                done();
+            });
+        });
+        it ('should have nothing to run once migrated', () => {
+            return cassandra.migrate(dir).then((migrations) => {
+                assert.deepEqual(migrations, []);
+            });
+        });
+        it ('should be able to migrate down to a version', () => {
+            return cassandra.migrate(dir, {to: 0}).then((migrations) => {
+                assert.deepEqual(migrations.map((migration) => migration.direction), ['down', 'down']);
+                assert.deepEqual(migrations.map((migration) => migration.version), [2, 1]);
+            });
+        });
+        it ('should finish synchronous migrations once they return', () => {
+            writeMigration('003-sync.js', '(cassandra) => { cassandra.migrated = 3; }', '(cassandra) => { delete cassandra.migrated; }');
+            return cassandra.migrate(dir)
+                .then((migrations) => {
+                    assert.deepEqual(migrations.map((migration) => migration.version), [1, 2, 3]);
+                    assert.equal(cassandra.migrated, 3);
+                    return cassandra.migrate(dir, {to: 0});
+                })
+                .then((migrations) => {
+                    fs.unlinkSync(path.join(dir, '003-sync.js'));
+                    assert.deepEqual(migrations.map((migration) => migration.version), [3, 2, 1]);
+                    assert.equal(cassandra.migrated, undefined);
+                });
+        });
+        it ('should keep the lock while a migration outlasts its ttl', (done) => {
+            writeMigration('004-slow.js', '() => new Promise((resolve) => setTimeout(resolve, 2000))', '() => {}');
+            async.parallel([
+                (next) => cassandra.migrate(dir, {lockTtl: 1}, next),
+                (next) => setTimeout(() => {
+                    cassandra.migrate(dir, {lockTimeout: 0}, (err) => next(null, err));
+                }, 1500)
+            ], (err, results) => {
+                fs.unlinkSync(path.join(dir, '004-slow.js'));
+                if (err) {
+                    return done(err);
+                }
+                assert.deepEqual(results[0].map((migration) => migration.version), [1, 2, 4]);
+                assert(results[1] && results[1].lockNotAcquired, results[1]);
+                done();
+            });
+        });
+        it ('should fail at creating a migrator with an invalid lock ttl', () => {
+            for (let lockTtl of ['60', -1, 0, 1.5]) {
+                assert.throws(() => new Cassandra.Migrator(cassandra, dir, {lockTtl: lockTtl}),
+                    new RegExp('^TypeError: Invalid lockTtl, expected a positive integer of seconds: ' + JSON.stringify(lockTtl) + '$'));
+            }
+        });
+        it ('should error on duplicate versions', (done) => {
+            writeMigration('1-duplicate.js', '() => {}', '() => {}');
+            cassandra.migrate(dir, (err) => {
+                fs.unlinkSync(path.join(dir, '1-duplicate.js'));
+                assert(err instanceof Error);
+                assert.equal(err.message, 'Duplicate migration version 1: 001-create-table.js, 1-duplicate.js');
+                done();
+            });
+        });
+    });
+
     describe('Materialized Views >', () => {//{{{
         var testSchema, TestModel;
         before(() => {